@@ -88,6 +88,79 @@ export function debounce(aCallback, aWaitTime) {
     ];
 }
 
+/**
+ * Calls given callback immediately and repeats it like a held down key: After the delay, the callback
+ * gets called again on every interval. The repetition stops, when the callback returns false
+ *
+ * @param {Function} aCallback The callback to repeat
+ * @param {number} aDelay The time to wait till repeating the callback
+ * @param {number} aInterval The time between the repetitions
+ * @return {Function} A destroy callback, that stops the repetition
+ */
+export function autoRepeat(aCallback, aDelay, aInterval) {
+    let pointer = null;
+    const repeat = (aWaitTime) => {
+        pointer = aCallback() === false ? null : window.setTimeout(() => repeat(aInterval), aWaitTime);
+    };
+
+    repeat(aDelay);
+
+    return () => {
+        window.clearTimeout(pointer);
+    };
+}
+
+/**
+ * Calls given callback on every animation frame with the frame timestamp, as long as the callback
+ * returns true
+ *
+ * @param {Function} aCallback The callback to call on each frame
+ * @return {Function} A destroy callback, that stops the loop
+ */
+export function requestFrameLoop(aCallback) {
+    let pointer = null;
+    const step = (aTimestamp) => {
+        pointer = aCallback(aTimestamp) ? window.requestAnimationFrame(step) : null;
+    };
+
+    pointer = window.requestAnimationFrame(step);
+
+    return () => {
+        window.cancelAnimationFrame(pointer);
+    };
+}
+
+/**
+ * A collection of easing functions for animations. Each function maps the progress of an
+ * animation (0 to 1) to the progress of the animated value (0 to 1)
+ *
+ * @type {Object.<string, Function>}
+ */
+export const easings = {
+    linear: aProgress => aProgress,
+    easeIn: aProgress => aProgress * aProgress,
+    easeOut: aProgress => aProgress * (2 - aProgress),
+    easeInOut: aProgress => (aProgress < 0.5 ? 2 * aProgress * aProgress : -1 + ((4 - (2 * aProgress)) * aProgress))
+};
+
+/**
+ * Calculates the visible distance for an overscroll of given distance. The further the user pulls,
+ * the more resistance the content gets, so the visible distance never exceeds the given dimension
+ *
+ * @param {number} aDistance The distance the user tried to scroll past the edge
+ * @param {number} aDimension The size of the container in the overscrolled direction
+ * @return {number} The distance to visualize
+ */
+export function getRubberBandDistance(aDistance, aDimension) {
+    if (aDistance === 0 || aDimension <= 0) {
+        return 0;
+    }
+
+    const distance = (1 - (1 / (((Math.abs(aDistance) * 0.55) / aDimension) + 1))) * aDimension;
+
+    return aDistance < 0 ? -distance : distance;
+}
+
 /**
  * This function calculates the distance to scroll in pixel, based on given information from the
  * scroll event.
@@ -113,3 +186,541 @@ export function getWheelDeltaAsPixel(aIsX, aDeltaOption, aDeltaMode, aDeltaValue
             return aDeltaValue;
     }
 }
+
+/**
+ * This function calculates the distance to scroll in pixel for given key of a keyboard event. The
+ * distances for lines and pages are the same as for wheel events. Home and End return infinite
+ * distances, so the clamping of the scroll position moves the content to the edges.
+ *
+ * @param {string} aKey The key property of the keyboard event
+ * @param {boolean} aShiftKey Whether the shift key was pressed
+ * @param {Element} aScrollContainer
+ * @param {boolean} [aPageIsX=false] Whether the page keys, Home and End scroll in x direction
+ * @return {{x: number, y: number}|null} The distances to scroll, or null if the key doesn't scroll
+ */
+export function getKeyDeltaAsPixel(aKey, aShiftKey, aScrollContainer, aPageIsX = false) {
+    const line = isX => getWheelDeltaAsPixel(isX, undefined, DOM_DELTA_LINE, 1, aScrollContainer);
+    const page = isX => getWheelDeltaAsPixel(isX, undefined, DOM_DELTA_PAGE, 1, aScrollContainer);
+    const pageDelta = aDistance => (aPageIsX ? { x: aDistance, y: 0 } : { x: 0, y: aDistance });
+
+    // older browsers use some different names for the keys, so we support them as well
+    switch (aKey) {
+        case 'ArrowUp':
+        case 'Up':
+            return { x: 0, y: -line(false) };
+        case 'ArrowDown':
+        case 'Down':
+            return { x: 0, y: line(false) };
+        case 'ArrowLeft':
+        case 'Left':
+            return { x: -line(true), y: 0 };
+        case 'ArrowRight':
+        case 'Right':
+            return { x: line(true), y: 0 };
+        case 'PageUp':
+            return pageDelta(-page(aPageIsX));
+        case 'PageDown':
+            return pageDelta(page(aPageIsX));
+        case ' ':
+        case 'Spacebar':
+            return pageDelta(aShiftKey ? -page(aPageIsX) : page(aPageIsX));
+        case 'Home':
+            return pageDelta(-Infinity);
+        case 'End':
+            return pageDelta(Infinity);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Checks whether given element handles given key by itself, like inputs do. Buttons only handle the keys,
+ * that press them
+ *
+ * @param {Element} aElement
+ * @param {string} aKey The key value of the keyboard event
+ * @return {boolean}
+ */
+export function isEditableElement(aElement, aKey) {
+    const tagName = aElement.tagName;
+
+    if (tagName === 'BUTTON') {
+        return aKey === ' ' || aKey === 'Spacebar' || aKey === 'Enter';
+    }
+
+    return tagName === 'INPUT' ||
+        tagName === 'TEXTAREA' ||
+        tagName === 'SELECT' ||
+        aElement.isContentEditable === true;
+}
+
+/**
+ * The elements, that the user can reach with the tab key
+ *
+ * @type {string}
+ */
+const TABBABLE_SELECTOR = [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[tabindex]',
+    '[contenteditable]:not([contenteditable="false"])'
+].map(aSelector => `${aSelector}:not([tabindex="-1"])`).join(', ');
+
+/**
+ * Checks whether given element contains an element, that the user can reach with the tab key
+ *
+ * @param {Element} aElement
+ * @return {boolean}
+ */
+export function hasFocusableContent(aElement) {
+    return aElement.querySelector(TABBABLE_SELECTOR) !== null;
+}
+
+/**
+ * The way the browser reports the scrollLeft value of right-to-left elements. It gets detected once on first use
+ *
+ * @type {string|null}
+ */
+let rtlScrollType = null;
+
+/**
+ * Detects, how the browser reports the scrollLeft value of right-to-left elements. With "negative" the start
+ * at the right is 0 and the value gets negative to the left, like the specification says. With "reverse" the
+ * value gets positive to the left instead, and with "default" it's the same as for left-to-right elements
+ *
+ * @return {string} The type: negative, reverse or default
+ */
+function getRtlScrollType() {
+    if (rtlScrollType === null) {
+        const element = document.createElement('div');
+        const child = document.createElement('div');
+
+        element.dir = 'rtl';
+        element.style.cssText = 'position: absolute; top: -1000px; width: 4px; height: 1px; overflow: hidden;';
+        child.style.cssText = 'width: 8px; height: 1px;';
+        element.appendChild(child);
+        document.body.appendChild(element);
+
+        if (element.scrollLeft > 0) {
+            rtlScrollType = 'default';
+        }
+        else {
+            // only the reverse type can have a positive value
+            element.scrollLeft = 1;
+            rtlScrollType = element.scrollLeft === 0 ? 'negative' : 'reverse';
+        }
+
+        document.body.removeChild(element);
+    }
+
+    return rtlScrollType;
+}
+
+/**
+ * Checks whether given element has a right-to-left direction
+ *
+ * @param {Element} aElement
+ * @return {boolean}
+ */
+export function isRtl(aElement) {
+    return window.getComputedStyle(aElement, null).getPropertyValue('direction') === 'rtl';
+}
+
+/**
+ * Returns the scrollLeft value of given element normalized to the left-to-right values. So 0 is always the
+ * left edge and the maximum is the right edge, no matter how the browser reports right-to-left elements
+ *
+ * @param {Element} aElement The scrolling element
+ * @param {boolean} aIsRtl Whether the element has a right-to-left direction
+ * @return {number} The normalized scrollLeft value
+ */
+export function getScrollLeft(aElement, aIsRtl) {
+    const type = aIsRtl ? getRtlScrollType() : 'default';
+
+    if (type === 'negative') {
+        return (aElement.scrollWidth - aElement.clientWidth) + aElement.scrollLeft;
+    }
+    else if (type === 'reverse') {
+        return (aElement.scrollWidth - aElement.clientWidth) - aElement.scrollLeft;
+    }
+
+    return aElement.scrollLeft;
+}
+
+/**
+ * Sets the normalized scrollLeft value, like it gets returned by getScrollLeft, to given element
+ *
+ * @param {Element} aElement The scrolling element
+ * @param {number} aScrollLeft The normalized scrollLeft value
+ * @param {boolean} aIsRtl Whether the element has a right-to-left direction
+ */
+export function setScrollLeft(aElement, aScrollLeft, aIsRtl) {
+    const type = aIsRtl ? getRtlScrollType() : 'default';
+    const element = aElement;
+
+    if (type === 'negative') {
+        element.scrollLeft = aScrollLeft - (element.scrollWidth - element.clientWidth);
+    }
+    else if (type === 'reverse') {
+        element.scrollLeft = (element.scrollWidth - element.clientWidth) - aScrollLeft;
+    }
+    else {
+        element.scrollLeft = aScrollLeft;
+    }
+}
+
+/**
+ * Calculates the scroll position, that aligns given element with given alignment in the scroll container
+ *
+ * @param {Element} aElement The element to align
+ * @param {Element} aScrollContainer The container, that scrolls
+ * @param {string} aAlign The alignment: start, center or end
+ * @param {boolean} aIsX Whether to calculate the position for the x direction or not
+ * @return {number} The scroll position
+ */
+function getAlignedScrollPosition(aElement, aScrollContainer, aAlign, aIsX) {
+    const elementRect = aElement.getBoundingClientRect();
+    const containerRect = aScrollContainer.getBoundingClientRect();
+    const elementSize = aIsX ? elementRect.width : elementRect.height;
+    const containerSize = aIsX ? aScrollContainer.clientWidth : aScrollContainer.clientHeight;
+    // the offset of the element inside the scrolled content
+    const offset = aIsX ?
+        (elementRect.left - containerRect.left - aScrollContainer.clientLeft) +
+            getScrollLeft(aScrollContainer, isRtl(aScrollContainer)) :
+        (elementRect.top - containerRect.top - aScrollContainer.clientTop) + aScrollContainer.scrollTop;
+
+    if (aAlign === 'center') {
+        return offset + ((elementSize - containerSize) / 2);
+    }
+    else if (aAlign === 'end') {
+        return offset + (elementSize - containerSize);
+    }
+
+    return offset;
+}
+
+/**
+ * Collects all snap points for one direction of the scroll container. The snap points are defined by the
+ * elements matching the selector, or by an interval. The alignment of an element is taken from its CSS
+ * scroll-snap-align property if set, else from the align option
+ *
+ * @param {Element} aScrollContainer The container, that scrolls
+ * @param {{selector: string, align: string, interval: (number|{x: number, y: number})}} aSnapOptions The snap options
+ * @param {boolean} aIsX Whether to collect the snap points for the x direction or not
+ * @return {Array.<number>} The snap points as scroll positions, clamped to the valid scroll range
+ */
+export function getSnapPoints(aScrollContainer, aSnapOptions, aIsX) {
+    const maxScroll = aIsX ?
+        aScrollContainer.scrollWidth - aScrollContainer.clientWidth :
+        aScrollContainer.scrollHeight - aScrollContainer.clientHeight;
+    const interval = typeof aSnapOptions.interval === 'object' && aSnapOptions.interval !== null ?
+        aSnapOptions.interval[aIsX ? 'x' : 'y'] : aSnapOptions.interval;
+    const snapPoints = [];
+
+    if (typeof aSnapOptions.selector === 'string') {
+        const elements = aScrollContainer.querySelectorAll(aSnapOptions.selector);
+
+        Array.prototype.forEach.call(elements, (aElement) => {
+            // the CSS property has the block alignment first, and optionally the inline alignment second
+            const cssAlign = window.getComputedStyle(aElement, null).getPropertyValue('scroll-snap-align').split(' ');
+            const align = cssAlign[aIsX && cssAlign.length > 1 ? 1 : 0];
+
+            snapPoints.push(getAlignedScrollPosition(
+                aElement,
+                aScrollContainer,
+                align && align !== 'none' ? align : aSnapOptions.align,
+                aIsX
+            ));
+        });
+    }
+
+    if (typeof interval === 'number' && interval > 0) {
+        for (let point = 0; point < maxScroll; point += interval) {
+            snapPoints.push(point);
+        }
+        snapPoints.push(maxScroll);
+    }
+
+    return snapPoints.map(aPoint => Math.round(Math.max(0, Math.min(aPoint, maxScroll))));
+}
+
+/**
+ * Returns the snap point, that is the nearest to given scroll position
+ *
+ * @param {number} aScrollPosition The current scroll position
+ * @param {Array.<number>} aSnapPoints The snap points to choose from
+ * @return {number|null} The nearest snap point, or null if there are no snap points
+ */
+export function getNearestSnapPoint(aScrollPosition, aSnapPoints) {
+    return aSnapPoints.reduce((aNearest, aPoint) => {
+        if (aNearest === null || Math.abs(aPoint - aScrollPosition) < Math.abs(aNearest - aScrollPosition)) {
+            return aPoint;
+        }
+
+        return aNearest;
+    }, null);
+}
+
+/**
+ * Calculates the offset of given element inside the scrolled content of given container. The offsets of
+ * all offsetParents between the element and the container get summed up, including their borders
+ *
+ * @param {Element} aElement The element to calculate the offset for
+ * @param {Element} aScrollContainer The container, that contains the element
+ * @return {{top: number, left: number}|null} The offset, or null if the element isn't inside the container
+ */
+export function getOffsetInContainer(aElement, aScrollContainer) {
+    const offset = { top: 0, left: 0 };
+    let current = aElement;
+
+    while (current !== aScrollContainer) {
+        offset.top += current.offsetTop;
+        offset.left += current.offsetLeft;
+        current = current.offsetParent;
+
+        if (current === null) {
+            return null;
+        }
+        else if (current !== aScrollContainer) {
+            offset.top += current.clientTop;
+            offset.left += current.clientLeft;
+        }
+    }
+
+    // the content of right-to-left containers overflows to the left, but the offset starts at the left end
+    if (isRtl(aScrollContainer)) {
+        offset.left += aScrollContainer.scrollWidth - aScrollContainer.clientWidth;
+    }
+
+    return offset;
+}
+
+/**
+ * Searches the deepest element, that is the first visible one in the visible area of given container
+ *
+ * @param {Element} aScrollContainer The container to search in
+ * @param {Array.<Element>} aExcludedElements Direct children of the container, that can't be an anchor
+ * @return {Element|null} The found element or null, if there is no visible element
+ */
+export function findScrollAnchor(aScrollContainer, aExcludedElements) {
+    const containerRect = aScrollContainer.getBoundingClientRect();
+    const isVisible = (aElement) => {
+        const rect = aElement.getBoundingClientRect();
+
+        return (rect.width > 0 || rect.height > 0) &&
+            rect.bottom > containerRect.top && rect.top < containerRect.bottom &&
+            rect.right > containerRect.left && rect.left < containerRect.right;
+    };
+    let anchor = null;
+    let candidates = Array.prototype.filter.call(
+        aScrollContainer.children,
+        aChild => aExcludedElements.indexOf(aChild) === -1
+    );
+
+    // we go deeper as long as there is a visible child, because deeper elements move less with their siblings
+    while (candidates.length > 0) {
+        const visibleCandidate = candidates.find(isVisible);
+
+        if (visibleCandidate === undefined) {
+            break;
+        }
+
+        anchor = visibleCandidate;
+        candidates = Array.prototype.slice.call(visibleCandidate.children);
+    }
+
+    return anchor;
+}
+
+/**
+ * Calculates the scroll position, that reveals an element with given offset and size in one direction
+ *
+ * @param {number} aOffset The offset of the element inside the scrolled content
+ * @param {number} aSize The size of the element
+ * @param {number} aScrollPosition The current scroll position
+ * @param {number} aClientSize The visible size of the container
+ * @param {string} aAlign The alignment: start, center, end or nearest
+ * @param {number} aMargin The space to keep between the element and the edges of the container
+ * @return {number} The new scroll position
+ */
+export function getRevealingScrollPosition(aOffset, aSize, aScrollPosition, aClientSize, aAlign, aMargin) {
+    const start = aOffset - aMargin;
+    const end = (aOffset + aSize + aMargin) - aClientSize;
+
+    switch (aAlign) {
+        case 'start':
+            return start;
+        case 'center':
+            return aOffset + ((aSize - aClientSize) / 2);
+        case 'end':
+            return end;
+        default:
+            // nearest only scrolls, if the element isn't visible completely, and then aligns the edge, that
+            // needs the shortest distance. An element bigger than the container gets aligned with its start
+            if (start < aScrollPosition) {
+                return start;
+            }
+            else if (end > aScrollPosition) {
+                return Math.min(start, end);
+            }
+
+            return aScrollPosition;
+    }
+}
+
+/**
+ * Converts the animate option of scrollIntoView like methods to animation options for scrollTo
+ *
+ * @param {boolean|PocScrollbarAnimationOptions} [aAnimate] Whether to animate, or the options for the animation
+ * @return {PocScrollbarAnimationOptions}
+ */
+export function getAnimationOptions(aAnimate) {
+    if (aAnimate === true) {
+        return {};
+    }
+    else if (typeof aAnimate === 'object' && aAnimate !== null) {
+        return aAnimate;
+    }
+
+    return { duration: 0 };
+}
+
+/**
+ * Converts given threshold to pixels. The threshold is either a number of pixels, or a percentage string
+ * like "20%", which is relative to given size
+ *
+ * @param {number|string} aThreshold The threshold to convert
+ * @param {number} aSize The size, that percentages are relative to
+ * @param {number} aDefault The value to use, if the threshold is invalid
+ * @return {number} The threshold in pixels
+ */
+export function getThresholdAsPixel(aThreshold, aSize, aDefault) {
+    if (typeof aThreshold === 'number') {
+        return aThreshold;
+    }
+    else if (typeof aThreshold === 'string' && /^\d+(\.\d+)?%$/.test(aThreshold)) {
+        return (window.parseFloat(aThreshold) / 100) * aSize;
+    }
+
+    return aDefault;
+}
+
+/**
+ * Converts the scroll position of a linked instance to the scroll position of another instance. Proportional
+ * positions keep the same ratio to the maximum scroll position, so panes of different sizes end together
+ *
+ * @param {number} aPosition The scroll position of the instance, that has scrolled
+ * @param {number} aMaxPosition The maximum scroll position of the instance, that has scrolled
+ * @param {number} aLinkedMaxPosition The maximum scroll position of the linked instance
+ * @param {boolean} aIsProportional Whether to convert the position proportionally
+ * @return {number} The scroll position for the linked instance
+ */
+export function getLinkedScrollPosition(aPosition, aMaxPosition, aLinkedMaxPosition, aIsProportional) {
+    if (!aIsProportional) {
+        return aPosition;
+    }
+
+    return aMaxPosition > 0 ? Math.round((aPosition / aMaxPosition) * aLinkedMaxPosition) : 0;
+}
+
+/**
+ * Searches the touch with given identifier in given touch list
+ *
+ * @param {TouchList} aTouchList The list to search in, like the changedTouches of a touch event
+ * @param {number} aIdentifier The identifier of the touch to search for
+ * @return {Touch|null} The found touch or null
+ */
+export function findTouch(aTouchList, aIdentifier) {
+    for (let i = 0; i < aTouchList.length; i += 1) {
+        if (aTouchList[i].identifier === aIdentifier) {
+            return aTouchList[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * The event handlers, that the library itself registers on the instances, like the ones of the virtual list
+ *
+ * @type {WeakSet.<Function>}
+ */
+const internalHandlers = new WeakSet();
+
+/**
+ * Marks given event handler as internal, so it survives the removal of all handlers of the user
+ *
+ * @param {Function} aHandler The handler to mark
+ * @return {Function} The given handler
+ */
+export function markAsInternalHandler(aHandler) {
+    internalHandlers.add(aHandler);
+
+    return aHandler;
+}
+
+/**
+ * Checks whether given event handler got marked as internal
+ *
+ * @param {Function} aHandler The handler to check
+ * @return {boolean}
+ */
+export function isInternalHandler(aHandler) {
+    return internalHandlers.has(aHandler);
+}
+
+/**
+ * The elements, that get watched for detaching from the document, mapped to their callbacks
+ *
+ * @type {Array.<{element: Element, callback: Function}>}
+ */
+let detachWatchers = [];
+
+/**
+ * The one mutation observer, that is shared by all detach watchers. It only exists while there is a watcher
+ *
+ * @type {MutationObserver|null}
+ */
+let detachObserver = null;
+
+/**
+ * Checks all watched elements, and notifies the watchers of elements that aren't part of the document anymore
+ */
+function checkDetachedElements() {
+    const detachedWatchers = detachWatchers.filter(aWatcher => !document.documentElement.contains(aWatcher.element));
+
+    detachedWatchers.forEach(aWatcher => aWatcher.callback());
+}
+
+/**
+ * Calls given callback once given element gets removed from the document. All elements share one observer
+ * on the document, so this stays cheap with many watched elements
+ *
+ * @param {Element} aElement The element to watch
+ * @param {Function} aCallback The callback to call after the element got detached
+ * @return {Function} A function, that stops watching the element
+ */
+export function observeDetach(aElement, aCallback) {
+    const watcher = { element: aElement, callback: aCallback };
+
+    if (detachObserver === null) {
+        detachObserver = new MutationObserver(checkDetachedElements);
+        detachObserver.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+    detachWatchers.push(watcher);
+
+    return () => {
+        detachWatchers = detachWatchers.filter(aWatcher => aWatcher !== watcher);
+
+        if (detachWatchers.length === 0 && detachObserver !== null) {
+            detachObserver.disconnect();
+            detachObserver = null;
+        }
+    };
+}
@@ -1,6 +1,62 @@
 
 import { ScrollView } from './scrollview';
-import { debounce, getWheelDeltaAsPixel } from './helper';
+import { VirtualList } from './virtuallist';
+import { scheduleTask } from './scheduler';
+import {
+    debounce,
+    getWheelDeltaAsPixel,
+    getRubberBandDistance,
+    getKeyDeltaAsPixel,
+    isEditableElement,
+    requestFrameLoop,
+    observeDetach,
+    findTouch,
+    getSnapPoints,
+    getNearestSnapPoint,
+    getOffsetInContainer,
+    getRevealingScrollPosition,
+    getThresholdAsPixel,
+    getAnimationOptions,
+    findScrollAnchor,
+    getLinkedScrollPosition,
+    isRtl,
+    getScrollLeft,
+    setScrollLeft,
+    hasFocusableContent,
+    markAsInternalHandler,
+    isInternalHandler,
+    easings
+} from './helper';
+
+/**
+ * The sources of scrolls, after which the scroll position snaps to the nearest snap point
+ *
+ * @type {Array.<string>}
+ */
+const SNAP_SOURCES = ['wheel', 'touch', 'scrollbar'];
+
+/**
+ * All living instances mapped by their container, so nested instances can find their parent instance
+ *
+ * @type {WeakMap.<Element, PocScrollbar>}
+ */
+const instancesByContainer = new WeakMap();
+
+/**
+ * The wheel and touchstart events, that got handled by an instance already. The events bubble up
+ * to the parent instances, but only the innermost instance handles them and chains the remaining distance
+ *
+ * @type {WeakSet.<Event>}
+ */
+const handledEvents = new WeakSet();
+
+/**
+ * The instances, whose scroll position is getting passed to their linked instances right now. A linked
+ * instance, that is in this list already, doesn't get updated again, so links can't cause feedback loops
+ *
+ * @type {Array.<PocScrollbar>}
+ */
+const linkingInstances = [];
 
 /**
  * @typedef {Object} PocScrollbarOptions
@@ -16,6 +72,82 @@ import { debounce, getWheelDeltaAsPixel } from './helper';
  * @property {number} [aOptions.xMinSize]
  * @property {number} [aOptions.yMinSize]
  * @property {number} [aOptions.wheelDeltaSize]
+ * @property {number} [aOptions.scrollEndDelay=150]
+ * @property {boolean} [aOptions.touchMomentum=true]
+ * @property {number} [aOptions.touchFriction=0.95]
+ * @property {boolean|{x: boolean, y: boolean}} [aOptions.overscroll=false]
+ * @property {boolean} [aOptions.disableKeyboardScrolling=false]
+ * @property {boolean} [aOptions.focusableScrollbars=false]
+ * @property {boolean} [aOptions.showTracks=false]
+ * @property {Object} [aOptions.xTrackStyles={}]
+ * @property {Object} [aOptions.yTrackStyles={}]
+ * @property {array.<String>|String} [aOptions.xTrackClass=[]]
+ * @property {array.<String>|String} [aOptions.yTrackClass=[]]
+ * @property {boolean} [aOptions.showButtons=false]
+ * @property {Object} [aOptions.xLeftButtonStyles={}]
+ * @property {Object} [aOptions.xRightButtonStyles={}]
+ * @property {Object} [aOptions.yUpButtonStyles={}]
+ * @property {Object} [aOptions.yDownButtonStyles={}]
+ * @property {array.<String>|String} [aOptions.xLeftButtonClass=[]]
+ * @property {array.<String>|String} [aOptions.xRightButtonClass=[]]
+ * @property {array.<String>|String} [aOptions.yUpButtonClass=[]]
+ * @property {array.<String>|String} [aOptions.yDownButtonClass=[]]
+ * @property {boolean} [aOptions.autoHide=false]
+ * @property {number} [aOptions.autoHideDelay=1000]
+ * @property {number} [aOptions.autoHideRevealZone=20]
+ * @property {boolean} [aOptions.useResizeObserver=false]
+ * @property {Function} [aOptions.ondetach]
+ * @property {PocScrollbarSnapOptions} [aOptions.snap]
+ * @property {string} [aOptions.overscrollBehavior='auto']
+ * @property {Function} [aOptions.onNearEnd]
+ * @property {Function} [aOptions.onNearStart]
+ * @property {number|string} [aOptions.nearEdgeThreshold=200]
+ * @property {boolean} [aOptions.stickToBottom=false]
+ * @property {boolean} [aOptions.scrollAnchoring=false]
+ */
+/**
+ * @typedef {Object} PocScrollbarSnapOptions
+ * @property {string} [selector] A selector for the elements inside the container, that serve as snap points
+ * @property {string} [align='start'] The alignment of the elements: start, center or end
+ * @property {number|{x: number, y: number}} [interval] A distance in pixels, whose multiples are snap points
+ * @property {number} [duration=300] The duration of the snap animation in milliseconds
+ * @property {string|Function} [easing='easeInOut'] The name of an easing function or an easing function itself
+ */
+/**
+ * @typedef {Object} PocScrollbarAnimationOptions
+ * @property {number} [duration=300] The duration of the animation in milliseconds
+ * @property {string|Function} [easing='easeInOut'] The name of an easing function or an easing function itself
+ */
+/**
+ * @typedef {Object} PocScrollbarScrollIntoViewOptions
+ * @property {string} [block='start'] The vertical alignment: start, center, end or nearest
+ * @property {string} [inline='nearest'] The horizontal alignment: start, center, end or nearest
+ * @property {number} [margin=0] The space in pixels to keep between the element and the edges of the container
+ * @property {boolean|PocScrollbarAnimationOptions} [animate=false] Whether to animate, or the options for the animation
+ * @property {boolean} [ifNeeded=false] Whether to scroll only, if the element isn't fully visible
+ */
+/**
+ * @typedef {Object} PocScrollbarEvent
+ * @property {string} type The type of the event, like scroll or reachbottom
+ * @property {string|null} source The source of the change: wheel, touch, keyboard, scrollbar, link or programmatic
+ * @property {number} scrollTop The scrollTop value at the time of the event
+ * @property {number} scrollLeft The scrollLeft value at the time of the event
+ * @property {PocScrollbar} target The instance that emitted the event
+ */
+/**
+ * @typedef {Object} PocScrollbarLinkOptions
+ * @property {string} [axis='both'] The axis to link: x, y or both
+ * @property {boolean} [proportional=false] Whether to link the scroll positions relative to the maximum scroll
+ * positions, instead of linking the absolute positions
+ */
+/**
+ * @typedef {Object} PocScrollbarMeasurement
+ * @property {number} clientWidth The clientWidth of the container
+ * @property {number} clientHeight The clientHeight of the container
+ * @property {number} scrollWidth The scrollWidth of the container
+ * @property {number} scrollHeight The scrollHeight of the container
+ * @property {number} scrollTop The scrollTop of the container
+ * @property {number} scrollLeft The scrollLeft of the container, counted from the left edge
  */
 /**
  * The scroll container represents the main element, which contains too long
@@ -37,12 +169,54 @@ export default class PocScrollbar {
         // first we initialize all member properties
         this._container = aElement;
         this._options = aOptions;
+        // right-to-left containers start at the right, but scrollLeft always counts from the left edge
+        this._isRtl = isRtl(aElement);
         this._scrollTop = 0;
         this._scrollLeft = 0;
-        this._scrollView = new PocScrollbar.ScrollView(this, this._options);
+        this._eventHandlers = {};
+        this._isScrolling = false;
+        this._lastScrollSource = null;
+        this._animation = null;
+        this._overscrollTop = 0;
+        this._overscrollLeft = 0;
+        this._overscrollRelease = null;
+        // the own inline transforms of the content children, while the overscroll moves them
+        this._originalTransforms = new Map();
+        this._trackedTouchId = null;
+        this._stopTouchTracking = null;
+        // while a change check applies its measurement, the sizes get taken from it instead of the container
+        this._measurement = null;
+        // whether the container got its tabindex from this instance
+        this._hasAddedTabIndex = false;
+        // the near edge callbacks fire only once, until the content grows
+        this._nearEdgeArmed = {
+            xStart: true, xEnd: true, yStart: true, yEnd: true
+        };
+        // with the stickToBottom option, the container follows new content as long as it's at the bottom
+        this._isStuckToBottom = !!aOptions.stickToBottom;
+        // with the scrollAnchoring option, this is the element, that keeps its visual position on changes
+        this._scrollAnchor = null;
+        this._scrollView = null;
         this._destroyCallbacks = [
-            () => this._scrollView.destroy()
+            () => instancesByContainer.delete(aElement),
+            () => this._stopAnimation(),
+            () => {
+                // a touch, that is still on the screen, mustn't reach a destroyed instance
+                if (this._stopTouchTracking !== null) {
+                    this._stopTouchTracking();
+                }
+            }
         ];
+        // everything, that depends on the options, has its own destroy callbacks, so setOptions can set it up again
+        this._optionsDestroyCallbacks = [];
+
+        instancesByContainer.set(aElement, this);
+
+        // an overscroll caused by the wheel gets released, when the wheel stopped for a moment
+        const [debouncedOverscrollRelease, destroyOverscrollRelease] = debounce(() => this._releaseOverscroll(), 100);
+
+        this._debouncedOverscrollRelease = debouncedOverscrollRelease;
+        this._destroyCallbacks.push(destroyOverscrollRelease, () => this._resetOverscroll());
 
         // then go and set the style for the container element. It's important to disable overflow
         // and set the container to some style, that acts as container for absolute elements
@@ -51,6 +225,43 @@ export default class PocScrollbar {
         if (currentPositionStyle !== 'absolute' && currentPositionStyle !== 'relative') {
             this._container.style.position = 'relative';
         }
+        if (this._isRtl) {
+            this._scrollLeft = this._getContainerScrollLeft();
+        }
+
+        this._setupOptions();
+
+        if (this._isStuckToBottom) {
+            this.scrollTop(this._getMaxScrollTop());
+        }
+        this._selectScrollAnchor();
+    }
+
+    /**
+     * Sets everything up, that depends on the options: The scrollView, the scrollend event, the mutation
+     * handler and the event listeners. Their destroy callbacks are collected separately, so they can get
+     * destroyed and set up again, when the options change
+     *
+     * @private
+     */
+    _setupOptions() {
+        this._scrollView = new PocScrollbar.ScrollView(this, this._options);
+        this._optionsDestroyCallbacks.push(() => this._scrollView.destroy());
+
+        // the scrollend event is emitted, when no scroll happened for the configured delay
+        const scrollEndDelay = typeof this._options.scrollEndDelay === 'number' ? this._options.scrollEndDelay : 150;
+        const [debouncedScrollEnd, destroyScrollEnd] = debounce(() => this._scrollEnded(), scrollEndDelay);
+
+        this._debouncedScrollEnd = debouncedScrollEnd;
+        this._optionsDestroyCallbacks.push(destroyScrollEnd);
+
+        // the native scroll anchoring of the browser would adjust the scroll position a second time
+        if (this._options.scrollAnchoring) {
+            this._container.style.overflowAnchor = 'none';
+            this._optionsDestroyCallbacks.push(() => {
+                this._container.style.overflowAnchor = '';
+            });
+        }
 
         this._setupMutationHandler();
         this._setupEventListeners();
@@ -67,12 +278,29 @@ export default class PocScrollbar {
     _setupMutationHandler() {
         // first we generate the data for the observers, and validate the options
         const checkInterval = typeof this._options.checkInterval === 'number' ? this._options.checkInterval : 300;
-        const mutationHandler = this._getMutationHandler();
-        // then we validate the useMutationObserver option
+        const mutationTask = this._getMutationHandler();
+        // the observers run all phases of the check at once
+        const mutationHandler = () => {
+            if (mutationTask.prepare()) {
+                mutationTask.read();
+                mutationTask.write();
+            }
+        };
+        // then we validate the useResizeObserver and useMutationObserver options
+        this._options.useResizeObserver = typeof window.ResizeObserver === 'function' ?
+            this._options.useResizeObserver : false;
         this._options.useMutationObserver = MutationObserver ? this._options.useMutationObserver : false;
 
+        // the observers can't see the container getting removed, so they need a detach watcher
+        if (this._options.useResizeObserver || this._options.useMutationObserver) {
+            this._optionsDestroyCallbacks.push(observeDetach(this._container, () => this._detached()));
+        }
+
         // and then we setup the corresponding mutation handler and its destroy callback
-        if (this._options.useMutationObserver) {
+        if (this._options.useResizeObserver) {
+            this._setupResizeObserver(mutationHandler);
+        }
+        else if (this._options.useMutationObserver) {
             const [debouncedMutationHandler, destroyCallback] = debounce(mutationHandler, checkInterval);
             const mutationObserver = new MutationObserver(debouncedMutationHandler);
 
@@ -81,16 +309,73 @@ export default class PocScrollbar {
                 attributes: true, childList: true, characterData: true, subtree: true
             });
 
-            this._destroyCallbacks.push(() => {
+            this._optionsDestroyCallbacks.push(() => {
                 destroyCallback();
                 mutationObserver.disconnect();
                 window.removeEventListener('resize', debouncedMutationHandler);
             });
         }
         else {
-            const intervalPointer = window.setInterval(mutationHandler, checkInterval);
+            // all instances share the scheduler, so they check for changes together
+            this._optionsDestroyCallbacks.push(scheduleTask(checkInterval, mutationTask));
+        }
+    }
+
+    /**
+     * Sets a resize observer up, that calls given handler only if the size of the container or its
+     * content changes. The content gets tracked by observing the direct children of the container, that
+     * aren't scrollbar elements, so added and removed children get observed by a child list observer.
+     *
+     * @private
+     * @param {Function} aMutationHandler The handler to call on size changes
+     */
+    _setupResizeObserver(aMutationHandler) {
+        const resizeObserver = new window.ResizeObserver(aMutationHandler);
+        let observedChildren = [];
+        const observeChildren = () => {
+            const scrollbarElements = this._scrollView.getElements();
+
+            observedChildren.forEach(aChild => resizeObserver.unobserve(aChild));
+            observedChildren = Array.prototype.filter.call(
+                this._container.children,
+                aChild => scrollbarElements.indexOf(aChild) === -1
+            );
+            observedChildren.forEach(aChild => resizeObserver.observe(aChild));
+        };
+        // adding or removing children changes the scroll size, without resizing any observed element
+        const childListObserver = new MutationObserver(() => {
+            observeChildren();
+            aMutationHandler();
+        });
+
+        resizeObserver.observe(this._container);
+        observeChildren();
+        childListObserver.observe(this._container, { childList: true });
+
+        this._optionsDestroyCallbacks.push(() => {
+            resizeObserver.disconnect();
+            childListObserver.disconnect();
+        });
+    }
+
+    /**
+     * Destroys this instance, because its container got detached from the DOM, and notifies
+     * the ondetach callback about it
+     *
+     * @private
+     */
+    _detached() {
+        const container = this._container;
+
+        // the instance might be destroyed already by another observer
+        if (container === null) {
+            return;
+        }
 
-            this._destroyCallbacks.push(() => window.clearInterval(intervalPointer));
+        this.destroy();
+
+        if (typeof this._options.ondetach === 'function') {
+            this._options.ondetach(container);
         }
     }
 
@@ -103,24 +388,59 @@ export default class PocScrollbar {
         // first we setup the event listeners, that we want to register to the container
         const eventListener = {
             wheel: aEvent => this._wheelHandler(aEvent),
-            touchstart: aEvent => this._touchHandler(aEvent)
+            touchstart: aEvent => this._touchHandler(aEvent),
+            keydown: aEvent => this._keyboardHandler(aEvent)
         };
+        // the options might change till the cleanup, so we remember what got attached
+        const hasTouchListener = !this._options.disableTouchScrollingOnContainer;
+        const hasKeyboardListener = !this._options.disableKeyboardScrolling;
 
         // then we attach all event handlers to the container
         this._container.addEventListener('wheel', eventListener.wheel);
-        if (!this._options.disableTouchScrollingOnContainer) {
+        if (hasTouchListener) {
             this._container.addEventListener('touchstart', eventListener.touchstart);
         }
+        if (hasKeyboardListener) {
+            this._container.addEventListener('keydown', eventListener.keydown);
+        }
+        this._updateTabIndex();
 
         // and we generate a destroy callback for cleanup
-        this._destroyCallbacks.push(() => {
+        this._optionsDestroyCallbacks.push(() => {
             this._container.removeEventListener('wheel', eventListener.wheel);
-            if (!this._options.disableTouchScrollingOnContainer) {
+            if (hasTouchListener) {
                 this._container.removeEventListener('touchstart', eventListener.touchstart);
             }
+            if (hasKeyboardListener) {
+                this._container.removeEventListener('keydown', eventListener.keydown);
+            }
+            if (this._hasAddedTabIndex) {
+                this._container.removeAttribute('tabindex');
+                this._hasAddedTabIndex = false;
+            }
         });
     }
 
+    /**
+     * Makes the container focusable, so it receives keyboard events, as long as there is no content, that
+     * the user can reach with the tab key. A tabindex of the container itself stays untouched
+     *
+     * @private
+     */
+    _updateTabIndex() {
+        const needsTabIndex = !this._options.disableKeyboardScrolling &&
+            (this._hasAddedTabIndex || !this._container.hasAttribute('tabindex')) &&
+            !hasFocusableContent(this._container);
+
+        if (needsTabIndex && !this._hasAddedTabIndex) {
+            this._container.setAttribute('tabindex', '0');
+        }
+        else if (!needsTabIndex && this._hasAddedTabIndex) {
+            this._container.removeAttribute('tabindex');
+        }
+        this._hasAddedTabIndex = needsTabIndex;
+    }
+
     /**
      * Handles wheel events on this instance
      *
@@ -128,14 +448,17 @@ export default class PocScrollbar {
      * @param {WheelEvent} aEvent
      */
     _wheelHandler(aEvent) {
-        // if the default is prevented, we ignore this event
-        if (aEvent.defaultPrevented) {
+        // if the default is prevented or a nested instance handled the event already, we ignore this event
+        if (aEvent.defaultPrevented || handledEvents.has(aEvent)) {
             return;
         }
 
-        // else we store the old values
-        const currentScrollTop = this._container.scrollTop;
-        const currentScrollLeft = this._container.scrollLeft;
+        handledEvents.add(aEvent);
+
+        this.userInputStarted();
+        this._stopOverscrollRelease();
+
+        // else we calculate the distances to scroll
         const deltaX = getWheelDeltaAsPixel(
             true,
             this._options.wheelDeltaSize,
@@ -151,16 +474,49 @@ export default class PocScrollbar {
             this._container
         );
 
-        // trigger the changing
-        this.scrollTop(this._container.scrollTop + deltaY);
-        this.scrollLeft(this._container.scrollLeft + deltaX);
+        // trigger the changing, and if something actually changed or the distance must not be handed over
+        if (this._applyDelta(deltaX, deltaY, 'wheel') || this._getOverscrollBehavior() !== 'auto') {
+            // we call prevent default, so the browser won't do anything
+            aEvent.preventDefault();
+        }
+    }
+
+    /**
+     * Handles keyboard events on this instance
+     *
+     * @private
+     * @param {KeyboardEvent} aEvent
+     */
+    _keyboardHandler(aEvent) {
+        // if the default is prevented, a modifier is pressed or the key is meant for an input,
+        // we ignore this event. The same goes for the focusable scrollbars, which scroll in their
+        // direction only
+        if (aEvent.defaultPrevented || aEvent.altKey || aEvent.ctrlKey || aEvent.metaKey ||
+            isEditableElement(aEvent.target, aEvent.key) ||
+            this._scrollView.getElements().indexOf(aEvent.target) !== -1
+        ) {
+            return;
+        }
+
+        const delta = getKeyDeltaAsPixel(aEvent.key, aEvent.shiftKey, this._container);
+
+        if (delta === null) {
+            return;
+        }
+
+        this.userInputStarted();
+
+        const currentScrollTop = this._container.scrollTop;
+        const currentScrollLeft = this._getContainerScrollLeft();
+
+        this.scrollTop(currentScrollTop + delta.y, 'keyboard');
+        this.scrollLeft(currentScrollLeft + delta.x, 'keyboard');
 
-        // and if something actually changed
+        // like with the wheel, we only prevent the default if something actually changed, so
+        // the browser can scroll the page otherwise
         if (currentScrollTop !== this._container.scrollTop ||
-            currentScrollLeft !== this._container.scrollLeft
+            currentScrollLeft !== this._getContainerScrollLeft()
         ) {
-            // we call prevent default, so the browser and other scrollbars won't
-            // do anything
             aEvent.preventDefault();
         }
     }
@@ -172,220 +528,1276 @@ export default class PocScrollbar {
      * @param {TouchEvent} aEvent
      */
     _touchHandler(aEvent) {
-        if (aEvent.defaultPrevented) {
+        if (aEvent.defaultPrevented || handledEvents.has(aEvent)) {
+            return;
+        }
+
+        handledEvents.add(aEvent);
+
+        // the scrollbar elements handle their touches on their own, so dragging a thumb doesn't pan the
+        // container, nor any parent instance, at the same time
+        if (this._scrollView.getElements().indexOf(aEvent.target) !== -1) {
             return;
         }
 
-        // save a pointer to the touch to track. This should help to support multitouch
-        const touchToTrack = aEvent.which || 0;
+        // if the content is still bouncing back from an overscroll, the user catches it right where it is
+        this.userInputStarted();
+        this._stopOverscrollRelease();
+
+        // only one finger scrolls the container at a time, further fingers get ignored. But if the tracked
+        // finger isn't on the screen anymore, its touchend never reached the body, so the tracking is stale
+        if (this._trackedTouchId !== null) {
+            if (findTouch(aEvent.touches, this._trackedTouchId) !== null) {
+                return;
+            }
+            this._stopTouchTracking();
+        }
+
+        // save the identifier of the touch to track. The touch objects change with every event, but
+        // the identifier stays the same for the whole gesture of a finger
+        const startTouch = aEvent.changedTouches[0];
+        const touchToTrack = startTouch.identifier;
         // and save temporary variables for the move calculation
-        let tmpMoverX = aEvent.touches[touchToTrack].clientX;
-        let tmpMoverY = aEvent.touches[touchToTrack].clientY;
+        let tmpMoverX = startTouch.clientX;
+        let tmpMoverY = startTouch.clientY;
+        // as well as the velocity in px/ms, that gets used for the momentum after the touch ends
+        let lastMoveTime = aEvent.timeStamp;
+        let velocityX = 0;
+        let velocityY = 0;
+
+        this._trackedTouchId = touchToTrack;
 
         // then setup a move function pointer
         let tmpMovePointer = (aaEvent) => {
             // which only tracks the correct touch
-            if (aaEvent.which !== touchToTrack) {
+            const touch = findTouch(aaEvent.changedTouches, touchToTrack);
+
+            if (touch === null) {
                 return;
             }
 
             // calculates the distance
-            const distanceX = tmpMoverX - aaEvent.touches[touchToTrack].clientX;
-            const distanceY = tmpMoverY - aaEvent.touches[touchToTrack].clientY;
+            const distanceX = tmpMoverX - touch.clientX;
+            const distanceY = tmpMoverY - touch.clientY;
 
-            tmpMoverX = aaEvent.touches[touchToTrack].clientX;
-            tmpMoverY = aaEvent.touches[touchToTrack].clientY;
+            tmpMoverX = touch.clientX;
+            tmpMoverY = touch.clientY;
 
-            // and triggers an update for scrollTop and scrollLeft
-            this.scrollTop(this._container.scrollTop + distanceY);
-            this.scrollLeft(this._container.scrollLeft + distanceX);
-        };
+            // then updates the velocity. We smooth it a little, so a single jittery move
+            // doesn't define the whole momentum
+            const elapsedTime = aaEvent.timeStamp - lastMoveTime;
+            lastMoveTime = aaEvent.timeStamp;
+            if (elapsedTime > 0) {
+                velocityX = (0.8 * (distanceX / elapsedTime)) + (0.2 * velocityX);
+                velocityY = (0.8 * (distanceY / elapsedTime)) + (0.2 * velocityY);
+            }
 
-        // finally setup a pointer to a touchend function handler
-        let tmpEndPointer = (aaEvent) => {
-            // which only reacts to the correct touch
-            if (aaEvent.which !== touchToTrack) {
-                return;
+            // and triggers an update for scrollTop and scrollLeft. If the distance got scrolled, or must
+            // not be handed over, the browser mustn't pan the page by itself
+            if (this._applyDelta(distanceX, distanceY, 'touch') || this._getOverscrollBehavior() !== 'auto') {
+                aaEvent.preventDefault();
             }
-            // deregisters the event handlers
-            document.body.removeEventListener('touchmove', tmpMovePointer);
+        };
+
+        // a touchend and touchcancel function handler
+        let tmpEndPointer = null;
+
+        // and a function, that deregisters the event handlers
+        this._stopTouchTracking = () => {
+            document.body.removeEventListener('touchmove', tmpMovePointer, { passive: false });
             document.body.removeEventListener('touchend', tmpEndPointer);
-            document.body.removeEventListener('touchleave', tmpEndPointer);
+            document.body.removeEventListener('touchcancel', tmpEndPointer);
 
             // and nulls the pointer for freeing memory
             tmpMovePointer = null;
             tmpEndPointer = null;
+            this._trackedTouchId = null;
+            this._stopTouchTracking = null;
+        };
+
+        tmpEndPointer = (aaEvent) => {
+            // which only reacts to the correct touch
+            if (findTouch(aaEvent.changedTouches, touchToTrack) === null) {
+                return;
+            }
+            this._stopTouchTracking();
+
+            // the remaining distance might have overscrolled parent instances, which bounce back as well
+            let parentInstance = this._getParentInstance();
+            while (parentInstance !== null) {
+                if (parentInstance._overscrollTop !== 0 || parentInstance._overscrollLeft !== 0) {
+                    parentInstance._releaseOverscroll();
+                }
+                parentInstance = parentInstance._getParentInstance();
+            }
+
+            // finally we let an overscrolled content bounce back, or keep on scrolling with the
+            // momentum, if the finger was still moving when it got lifted. If it rested for a while,
+            // the user wanted to stop. A cancelled touch never gets any momentum
+            if (this._overscrollTop !== 0 || this._overscrollLeft !== 0) {
+                this._releaseOverscroll();
+            }
+            else if (
+                aaEvent.type === 'touchend' &&
+                this._options.touchMomentum !== false &&
+                aaEvent.timeStamp - lastMoveTime < 100
+            ) {
+                this._startMomentum(velocityX, velocityY);
+            }
+            else {
+                this._snap();
+            }
         };
 
         // and finally add the event handlers, so this will actually work correctly
-        document.body.addEventListener('touchmove', tmpMovePointer);
+        document.body.addEventListener('touchmove', tmpMovePointer, { passive: false });
         document.body.addEventListener('touchend', tmpEndPointer);
-        document.body.addEventListener('touchleave', tmpEndPointer);
+        document.body.addEventListener('touchcancel', tmpEndPointer);
     }
 
     /**
-     * This function creates a closure, that handles update checks.
+     * Returns the validated overscrollBehavior option
      *
      * @private
-     * @return {Function} An interval handler to call at each tick
+     * @return {string} Either auto, contain or none
      */
-    _getMutationHandler() {
-        // setup some variables, that serve as cache for the closure
-        let containerHeight = this._container.clientHeight;
-        let containerWidth = this._container.clientWidth;
-        let scrollHeight = this._container.scrollHeight;
-        let scrollWidth = this._container.scrollWidth;
-
-        // then return the closure function
-        return () => {
-            // if the container doesn't exist anymore, we can't do anything
-            if (this._container === null) {
-                return;
-            }
-
-            // search for the root element of this element
-            let potentialRootElement = this._container.parentElement;
-            while (potentialRootElement !== null &&
-                potentialRootElement !== undefined &&
-                potentialRootElement !== document.body
-            ) {
-                potentialRootElement = potentialRootElement.parentElement;
-            }
+    _getOverscrollBehavior() {
+        const behavior = this._options.overscrollBehavior;
 
-            // then we reset the scrollbars to 0, because we want the INNER elements
-            // to determine the position, not the outer ones
-            const oldScrollTop = this._scrollTop;
-            const oldScrollLeft = this._scrollLeft;
+        return behavior === 'contain' || behavior === 'none' ? behavior : 'auto';
+    }
 
-            this._scrollView.scrollTopUpdated(0);
-            this._scrollView.scrollLeftUpdated(0);
+    /**
+     * Searches the nearest instance, whose container contains the container of this instance
+     *
+     * @private
+     * @return {PocScrollbar|null} The parent instance or null, if there is none
+     */
+    _getParentInstance() {
+        let element = this._container === null ? null : this._container.parentElement;
 
-            // if there is no root element
-            if (potentialRootElement === null || potentialRootElement === undefined) {
-                // simply destroy everything, because we are detached from DOM
-                this.destroy();
-                return;
-            }
-            // else check if something has changed
-            else if (
-                containerHeight !== this._container.clientHeight ||
-                containerWidth !== this._container.clientWidth ||
-                scrollHeight !== this._container.scrollHeight ||
-                scrollWidth !== this._container.scrollWidth
-            ) {
-                // and if something has changed, refresh the cache
-                containerHeight = this._container.clientHeight;
-                containerWidth = this._container.clientWidth;
-                scrollHeight = this._container.scrollHeight;
-                scrollWidth = this._container.scrollWidth;
+        while (element !== null) {
+            const instance = instancesByContainer.get(element);
 
-                // and tell the scrollView about the parent update
-                this._scrollView.parentUpdated();
+            if (instance !== undefined) {
+                return instance;
             }
 
-            if (this._scrollTop !== this._container.scrollTop) {
-                this.scrollTop(this._container.scrollTop);
-            }
-            else if (oldScrollTop < scrollHeight) {
-                this._scrollView.scrollTopUpdated(oldScrollTop);
-            }
+            element = element.parentElement;
+        }
 
-            if (this._scrollLeft !== this._container.scrollLeft) {
-                this.scrollLeft(this._container.scrollLeft);
-            }
-            else if (oldScrollLeft < scrollWidth) {
-                this._scrollView.scrollLeftUpdated(oldScrollLeft);
-            }
-        };
+        return null;
     }
 
     /**
-     * This function serves as getter and setter for the scrollTop value
+     * Scrolls by given distances, caused by given source. If the scroll position reaches an edge,
+     * the remaining distance gets handled depending on the overscrollBehavior option: With auto it gets
+     * handed over to the parent instance, or the page if there is none. With contain it gets turned into an
+     * overscroll, if overscrolling is enabled for the direction. With none it simply gets dropped
      *
-     * @param {number} [aScrollTop] The new scrollTop value
-     * @return {number} The new scrollTop value
+     * @private
+     * @param {number} aDeltaX The distance to scroll in x direction
+     * @param {number} aDeltaY The distance to scroll in y direction
+     * @param {string} aSource The source of the change
+     * @return {boolean} Whether the scroll position or the overscroll of this instance, one of its
+     * parents or the page has changed
      */
-    scrollTop(aScrollTop) {
-        // If this method was called with something else than a number, or scrolling is
-        // completely disabled, just return the scroll top and do nothing else
-        if (typeof aScrollTop !== 'number' || this._options.disableYScrolling) {
-            return this._container.scrollTop;
+    _applyDelta(aDeltaX, aDeltaY, aSource) {
+        const behavior = this._getOverscrollBehavior();
+        const parentInstance = behavior === 'auto' ? this._getParentInstance() : null;
+        // an instance, that hands the remaining distance over to its parent, doesn't bounce by itself
+        const canOverscroll = behavior !== 'none' && parentInstance === null;
+        const oldScrollTop = this._scrollTop;
+        const oldScrollLeft = this._scrollLeft;
+        const oldOverscrollTop = this._overscrollTop;
+        const oldOverscrollLeft = this._overscrollLeft;
+        const remainingY = this._applyDeltaToAxis(false, aDeltaY, aSource, canOverscroll);
+        const remainingX = this._applyDeltaToAxis(true, aDeltaX, aSource, canOverscroll);
+        let changed = oldScrollTop !== this._scrollTop || oldScrollLeft !== this._scrollLeft;
+
+        if (oldOverscrollTop !== this._overscrollTop || oldOverscrollLeft !== this._overscrollLeft) {
+            this._renderOverscroll();
+            changed = true;
         }
 
-        let newScrollTop = aScrollTop;
-        // then validate the newScrollTop value
-        if (newScrollTop < 0) {
-            newScrollTop = 0;
+        // an overscroll caused by the wheel gets released, when the wheel stopped for a moment
+        if (aSource === 'wheel' && (this._overscrollTop !== 0 || this._overscrollLeft !== 0)) {
+            this._debouncedOverscrollRelease();
         }
-        else if (newScrollTop > this._container.scrollHeight - this._container.clientHeight) {
-            newScrollTop = this._container.scrollHeight - this._container.clientHeight;
+
+        if (behavior !== 'auto' || (remainingX === 0 && remainingY === 0)) {
+            return changed;
         }
 
-        // if the scroll top has changed
-        if (this._scrollTop !== newScrollTop) {
-            // call the update trigger and save the scroll top value
-            this._scrollView.scrollTopUpdated(newScrollTop);
-            this._container.scrollTop = newScrollTop;
-            this._scrollTop = newScrollTop;
+        // the remaining distance gets chained to the parent instance, which continues the chain. Without one
+        // it's left to the browser, which scrolls the page, as long as nothing got scrolled here
+        if (parentInstance === null) {
+            return changed;
         }
 
-        // finally simply return the scrollTop value
-        return newScrollTop;
+        parentInstance._stopAnimation();
+        parentInstance._stopOverscrollRelease();
+
+        return parentInstance._applyDelta(remainingX, remainingY, aSource) || changed;
     }
 
     /**
-     * This function serves as getter and setter for the scrollLeft value
+     * Scrolls by given distance in one direction. For details see _applyDelta
      *
-     * @param {number} [aScrollLeft] The new scrollLeft value
-     * @return {number} The new scrollLeft value
+     * @private
+     * @param {boolean} aIsX Whether to scroll in x direction or not
+     * @param {number} aDelta The distance to scroll
+     * @param {string} aSource The source of the change
+     * @param {boolean} aCanOverscroll Whether the remaining distance may become an overscroll
+     * @return {number} The remaining distance, that couldn't be scrolled
      */
-    scrollLeft(aScrollLeft) {
-        // If this method was called with something else than a number, or scrolling is
-        // completely disabled, just return the scroll top and do nothing else
-        if (arguments.length === 0 || this._options.disableXScrolling) {
-            return this._container.scrollLeft;
+    _applyDeltaToAxis(aIsX, aDelta, aSource, aCanOverscroll) {
+        const overscrollKey = aIsX ? '_overscrollLeft' : '_overscrollTop';
+        const writeCallback = aIsX ? 'scrollLeft' : 'scrollTop';
+        let delta = aDelta;
+
+        // first we reduce an existing overscroll, if the delta points back to the content
+        if (this[overscrollKey] !== 0 && delta !== 0 && (this[overscrollKey] > 0) !== (delta > 0)) {
+            const newOverscroll = this[overscrollKey] + delta;
+
+            if (newOverscroll === 0 || (newOverscroll > 0) === (this[overscrollKey] > 0)) {
+                this[overscrollKey] = newOverscroll;
+                delta = 0;
+            }
+            else {
+                this[overscrollKey] = 0;
+                delta = newOverscroll;
+            }
         }
 
-        let newScrollLeft = aScrollLeft;
-        // now validate the scrollLeft value
-        if (newScrollLeft < 0) {
-            newScrollLeft = 0;
+        if (delta === 0) {
+            return 0;
         }
-        else if (newScrollLeft > this._container.scrollWidth - this._container.clientWidth) {
-            newScrollLeft = this._container.scrollWidth - this._container.clientWidth;
+
+        // then we scroll by the remaining delta
+        const wantedValue = this[writeCallback]() + delta;
+        const remainingDelta = wantedValue - this[writeCallback](wantedValue, aSource);
+
+        // and whatever couldn't get scrolled becomes an overscroll, if this is allowed
+        if (remainingDelta !== 0 && aCanOverscroll && this._canOverscroll(aIsX)) {
+            this[overscrollKey] += remainingDelta;
+
+            return 0;
         }
 
-        // if scrollLeft has changed
-        if (this._scrollLeft !== newScrollLeft) {
-            // call the update trigger and save set the scrollLeft value
-            this._scrollView.scrollLeftUpdated(newScrollLeft);
-            this._container.scrollLeft = newScrollLeft;
-            this._scrollLeft = newScrollLeft;
+        return remainingDelta;
+    }
+
+    /**
+     * Checks whether overscrolling is possible in given direction
+     *
+     * @private
+     * @param {boolean} aIsX Whether to check the x direction or not
+     * @return {boolean}
+     */
+    _canOverscroll(aIsX) {
+        const option = this._options.overscroll;
+        const isEnabled = option !== null && typeof option === 'object' ? !!option[aIsX ? 'x' : 'y'] : option === true;
+
+        if (!isEnabled || this._options[aIsX ? 'disableXScrolling' : 'disableYScrolling']) {
+            return false;
         }
 
-        // finally return the scrollLeft value
-        return newScrollLeft;
+        // content, that doesn't need scrolling, doesn't need to bounce either
+        return (aIsX ? this._getMaxScrollLeft() : this._getMaxScrollTop()) > 0;
     }
 
     /**
-     * This method is like the destructor. If you destroy this object, all footprints like
-     * event listeners and so on get removed and destroyed.
+     * Visualizes the current overscroll by moving the content and telling the scrollView about it
+     *
+     * @private
      */
-    destroy() {
-        // execute all destroy callbacks
-        this._destroyCallbacks.forEach(aCallback => aCallback());
+    _renderOverscroll() {
+        const overscrollTop = getRubberBandDistance(this._overscrollTop, this._container.clientHeight);
+        const overscrollLeft = getRubberBandDistance(this._overscrollLeft, this._container.clientWidth);
+        const scrollViewElements = this._scrollView.getElements();
 
-        // and null the pointers to the GC can clean up, even if this object isn't cleaned up
-        this._scrollView = null;
-        this._container = null;
-        this._destroyCallbacks = [];
+        if (overscrollTop === 0 && overscrollLeft === 0) {
+            this._restoreTransforms();
+        }
+        else {
+            const translate = `translate(${-overscrollLeft}px, ${-overscrollTop}px)`;
+
+            // the content gets moved on top of its own transform, but the elements of the scrollView stay
+            Array.prototype.forEach.call(this._container.children, (aChild) => {
+                if (scrollViewElements.indexOf(aChild) === -1) {
+                    const child = aChild;
+
+                    if (!this._originalTransforms.has(child)) {
+                        this._originalTransforms.set(child, child.style.transform);
+                    }
+                    child.style.transform = `${translate} ${this._originalTransforms.get(child)}`.trim();
+                }
+            });
+        }
+
+        this._scrollView.overscrollUpdated(overscrollLeft, overscrollTop);
     }
-}
 
-// and add the scrollview as static property, so it's overwritable
-/**
+    /**
+     * Lets the overscrolled content bounce back to the edge
+     *
+     * @private
+     */
+    _releaseOverscroll() {
+        this._stopOverscrollRelease();
+
+        this._overscrollRelease = requestFrameLoop(() => {
+            this._overscrollTop = Math.abs(this._overscrollTop) < 1 ? 0 : this._overscrollTop * 0.8;
+            this._overscrollLeft = Math.abs(this._overscrollLeft) < 1 ? 0 : this._overscrollLeft * 0.8;
+            this._renderOverscroll();
+
+            if (this._overscrollTop !== 0 || this._overscrollLeft !== 0) {
+                return true;
+            }
+
+            this._overscrollRelease = null;
+
+            return false;
+        });
+    }
+
+    /**
+     * Stops the bounce back of an overscroll, if it's running
+     *
+     * @private
+     */
+    _stopOverscrollRelease() {
+        if (this._overscrollRelease !== null) {
+            this._overscrollRelease();
+            this._overscrollRelease = null;
+        }
+    }
+
+    /**
+     * Resets the overscroll immediately and removes the styles from the content. This is used
+     * for cleanup, after the scrollView is destroyed already
+     *
+     * @private
+     */
+    _resetOverscroll() {
+        this._stopOverscrollRelease();
+
+        if (this._overscrollTop !== 0 || this._overscrollLeft !== 0) {
+            this._overscrollTop = 0;
+            this._overscrollLeft = 0;
+            this._restoreTransforms();
+        }
+    }
+
+    /**
+     * Gives the content children back their own transforms, that they had before the overscroll
+     *
+     * @private
+     */
+    _restoreTransforms() {
+        this._originalTransforms.forEach((aTransform, aChild) => {
+            const child = aChild;
+            child.style.transform = aTransform;
+        });
+        this._originalTransforms.clear();
+    }
+
+    /**
+     * Starts scrolling with given velocity, which slows down by the touchFriction option on
+     * each frame. The momentum is handled like an animation, so any user input stops it
+     *
+     * @private
+     * @param {number} aVelocityX The initial velocity in x direction in px/ms
+     * @param {number} aVelocityY The initial velocity in y direction in px/ms
+     */
+    _startMomentum(aVelocityX, aVelocityY) {
+        // the friction is defined per frame, expecting a framerate of 60fps
+        // a friction outside of 0 and 1 would never slow the momentum down, so it falls back to the default
+        const touchFriction = this._options.touchFriction;
+        const friction = typeof touchFriction === 'number' && touchFriction > 0 && touchFriction < 1 ?
+            touchFriction : 0.95;
+        const frameTime = 1000 / 60;
+        let velocityX = aVelocityX;
+        let velocityY = aVelocityY;
+        let positionTop = this._container.scrollTop;
+        let positionLeft = this._getContainerScrollLeft();
+        let lastTimestamp = null;
+
+        // if the velocity is too small there is nothing to do
+        if (Math.abs(velocityX) < 0.01 && Math.abs(velocityY) < 0.01) {
+            return;
+        }
+
+        this._stopAnimation();
+
+        const animation = {
+            resolve: () => {},
+            stop: null
+        };
+
+        animation.stop = requestFrameLoop((aTimestamp) => {
+            const elapsedTime = lastTimestamp === null ? frameTime : aTimestamp - lastTimestamp;
+            const decay = Math.exp(Math.log(friction) * (elapsedTime / frameTime));
+            lastTimestamp = aTimestamp;
+
+            positionTop += velocityY * elapsedTime;
+            positionLeft += velocityX * elapsedTime;
+
+            // if the scroll position didn't end up where we wanted it, we hit an edge, so the
+            // momentum for this direction is gone
+            if (this.scrollTop(Math.round(positionTop), 'touch') !== Math.round(positionTop)) {
+                velocityY = 0;
+            }
+            if (this.scrollLeft(Math.round(positionLeft), 'touch') !== Math.round(positionLeft)) {
+                velocityX = 0;
+            }
+
+            velocityX *= decay;
+            velocityY *= decay;
+
+            if (Math.abs(velocityX) >= 0.01 || Math.abs(velocityY) >= 0.01) {
+                return true;
+            }
+
+            this._animation = null;
+
+            return false;
+        });
+
+        this._animation = animation;
+    }
+
+    /**
+     * This function creates the closures, that handle update checks. The check is split into phases, so the
+     * scheduler can run the phases of all instances together: First the scrollbars get moved out of the way,
+     * then the sizes get read, and finally the changes get applied.
+     *
+     * @private
+     * @return {SchedulerTask} The phases of the check
+     */
+    _getMutationHandler() {
+        // setup some variables, that serve as cache for the closure
+        let containerHeight = this._container.clientHeight;
+        let containerWidth = this._container.clientWidth;
+        let scrollHeight = this._container.scrollHeight;
+        let scrollWidth = this._container.scrollWidth;
+        // and these are the values of the current check, shared between the phases
+        let measured = null;
+        let anchorOffset = null;
+
+        const prepare = () => {
+            // if the container doesn't exist anymore, we can't do anything. The same goes for
+            // an overscrolled container, because the content is moved around in this case
+            if (this._container === null || this._overscrollTop !== 0 || this._overscrollLeft !== 0) {
+                return false;
+            }
+
+            // we move the scrollbars to the start, because we want the INNER elements
+            // to determine the size, not the outer ones
+            this._scrollView.renderAtStart();
+
+            return true;
+        };
+
+        const read = () => {
+            // search for the root element of this element
+            let potentialRootElement = this._container.parentElement;
+            while (potentialRootElement !== null &&
+                potentialRootElement !== undefined &&
+                potentialRootElement !== document.body
+            ) {
+                potentialRootElement = potentialRootElement.parentElement;
+            }
+
+            // without a root element we are detached from DOM, so there is nothing to read
+            if (potentialRootElement === null || potentialRootElement === undefined) {
+                measured = null;
+                return;
+            }
+
+            measured = {
+                clientHeight: this._container.clientHeight,
+                clientWidth: this._container.clientWidth,
+                scrollHeight: this._container.scrollHeight,
+                scrollWidth: this._container.scrollWidth,
+                scrollTop: this._container.scrollTop,
+                scrollLeft: this._getContainerScrollLeft()
+            };
+
+            // the scroll anchor gets measured here as well, or selected again, if it got removed
+            if (this._scrollAnchor !== null && this._getScrollAnchorOffset() === null) {
+                this._selectScrollAnchor();
+            }
+            anchorOffset = this._getScrollAnchorOffset();
+        };
+
+        const write = () => {
+            // another instance might have destroyed this one in the meantime
+            if (this._container === null) {
+                return;
+            }
+            // if there is no root element
+            else if (measured === null) {
+                // simply destroy everything, because we are detached from DOM
+                this._detached();
+                return;
+            }
+
+            // scrolling doesn't change the sizes, so they get taken from the measurement instead of laying
+            // the container out again
+            this._measurement = measured;
+            try {
+                // check if something has changed
+                if (
+                    containerHeight !== measured.clientHeight ||
+                    containerWidth !== measured.clientWidth ||
+                    scrollHeight !== measured.scrollHeight ||
+                    scrollWidth !== measured.scrollWidth
+                ) {
+                    // the content has grown, so the near edge callbacks may fire again
+                    this._rearmNearEdges(measured.scrollWidth > scrollWidth, measured.scrollHeight > scrollHeight);
+
+                    // and if something has changed, refresh the cache
+                    containerHeight = measured.clientHeight;
+                    containerWidth = measured.clientWidth;
+                    scrollHeight = measured.scrollHeight;
+                    scrollWidth = measured.scrollWidth;
+
+                    // and tell the scrollView about the parent update. The new content might be focusable as well
+                    this._scrollView.parentUpdated(measured);
+                    this._updateTabIndex();
+                    this._emit('resize', null);
+                }
+
+                if (this._scrollTop !== measured.scrollTop) {
+                    this.scrollTop(measured.scrollTop);
+                }
+
+                if (this._scrollLeft !== measured.scrollLeft) {
+                    this.scrollLeft(measured.scrollLeft);
+                }
+
+                // the anchor keeps its visual position, even if the content before it has changed
+                this._adjustToScrollAnchor(anchorOffset);
+
+                // a container stuck to the bottom follows the grown content
+                if (this._isStuckToBottom && this._scrollTop !== this._getMaxScrollTop()) {
+                    this.scrollTop(this._getMaxScrollTop());
+                }
+            }
+            finally {
+                this._measurement = null;
+            }
+
+            // the scrollbars were moved out of the way, so they have to be back before the next paint
+            this._scrollView.render();
+        };
+
+        return { prepare, read, write };
+    }
+
+    /**
+     * Returns the scrollLeft value of the container, counted from the left edge also for right-to-left containers
+     *
+     * @private
+     * @return {number}
+     */
+    _getContainerScrollLeft() {
+        return getScrollLeft(this._container, this._isRtl);
+    }
+
+    /**
+     * Selects the first visible element in the container as anchor for the scrollAnchoring option, and
+     * saves its current offset. Like the native scroll anchoring, there is no anchor at the start, which is
+     * at the right for right-to-left containers
+     *
+     * @private
+     */
+    _selectScrollAnchor() {
+        if (!this._options.scrollAnchoring || this._container === null) {
+            return;
+        }
+
+        const startLeft = this._isRtl ? this._getMaxScrollLeft() : 0;
+        const element = this._scrollTop === 0 && this._scrollLeft === startLeft ?
+            null : findScrollAnchor(this._container, this._scrollView.getElements());
+        const offset = element === null ? null : getOffsetInContainer(element, this._container);
+
+        this._scrollAnchor = offset === null ? null : { element, top: offset.top, left: offset.left };
+    }
+
+    /**
+     * Returns the current offset of the scroll anchor, or null if there is no anchor in the container
+     *
+     * @private
+     * @return {{top: number, left: number}|null}
+     */
+    _getScrollAnchorOffset() {
+        if (this._scrollAnchor === null || !this._container.contains(this._scrollAnchor.element)) {
+            return null;
+        }
+
+        return getOffsetInContainer(this._scrollAnchor.element, this._container);
+    }
+
+    /**
+     * Scrolls by the distance, that the scroll anchor has moved since it got selected, so it keeps
+     * its visual position
+     *
+     * @private
+     * @param {{top: number, left: number}|null} [aOffset] The measured offset of the anchor, or the current
+     * offset gets read
+     */
+    _adjustToScrollAnchor(aOffset = this._getScrollAnchorOffset()) {
+        const anchor = this._scrollAnchor;
+
+        if (aOffset === null || anchor === null) {
+            return;
+        }
+
+        if (aOffset.top !== anchor.top) {
+            this.scrollTop(this._scrollTop + (aOffset.top - anchor.top));
+        }
+        if (aOffset.left !== anchor.left) {
+            this.scrollLeft(this._scrollLeft + (aOffset.left - anchor.left));
+        }
+
+        // the scroll events might have selected a new anchor already
+        if (this._scrollAnchor === anchor) {
+            anchor.top = aOffset.top;
+            anchor.left = aOffset.left;
+        }
+    }
+
+    /**
+     * Calls all handlers registered for given event type
+     *
+     * @private
+     * @param {string} aType The type of the event to emit
+     * @param {string|null} aSource The source of the change, that caused this event
+     */
+    _emit(aType, aSource) {
+        const handlers = this._eventHandlers[aType];
+
+        if (!handlers || handlers.length === 0) {
+            return;
+        }
+
+        /** @type {PocScrollbarEvent} */
+        const event = {
+            type: aType,
+            source: aSource,
+            scrollTop: this._scrollTop,
+            scrollLeft: this._scrollLeft,
+            target: this
+        };
+
+        // we iterate over a copy, so handlers can remove themselves while being called
+        handlers.slice().forEach(aHandler => aHandler.call(this, event));
+    }
+
+    /**
+     * Emits the scroll related events after the scroll position has changed
+     *
+     * @private
+     * @param {string} aSource The source of the change
+     */
+    _scrollUpdated(aSource) {
+        this._lastScrollSource = aSource;
+
+        if (!this._isScrolling) {
+            this._isScrolling = true;
+            this._emit('scrollstart', aSource);
+        }
+
+        this._emit('scroll', aSource);
+        this._debouncedScrollEnd();
+    }
+
+    /**
+     * Gets called when no scroll happened for the scrollEndDelay and emits the scrollend event
+     *
+     * @private
+     */
+    _scrollEnded() {
+        this._isScrolling = false;
+        this._emit('scrollend', this._lastScrollSource);
+
+        // the content might have changed since the last check, so the old anchor has to be applied first
+        this._adjustToScrollAnchor();
+        this._selectScrollAnchor();
+
+        // a user scroll settles on a snap point, unless the user is still holding the content or a scrollbar
+        if (
+            this._container !== null &&
+            SNAP_SOURCES.indexOf(this._lastScrollSource) !== -1 &&
+            this._trackedTouchId === null &&
+            !this._scrollView.isInteracting()
+        ) {
+            this._snap();
+        }
+    }
+
+    /**
+     * Animates the scroll position to the nearest snap point, if the snap option is set
+     *
+     * @private
+     */
+    _snap() {
+        const snapOptions = this._options.snap;
+
+        // an overscrolled content bounces back by itself, so it doesn't need to snap
+        if (!snapOptions || this._container === null || this._overscrollTop !== 0 || this._overscrollLeft !== 0) {
+            return;
+        }
+
+        const snapTop = this._options.disableYScrolling ? null : getNearestSnapPoint(
+            this._scrollTop,
+            getSnapPoints(this._container, snapOptions, false)
+        );
+        const snapLeft = this._options.disableXScrolling ? null : getNearestSnapPoint(
+            this._scrollLeft,
+            getSnapPoints(this._container, snapOptions, true)
+        );
+
+        if ((snapTop !== null && snapTop !== this._scrollTop) || (snapLeft !== null && snapLeft !== this._scrollLeft)) {
+            this.scrollTo({ top: snapTop, left: snapLeft }, {
+                duration: snapOptions.duration,
+                easing: snapOptions.easing
+            });
+        }
+    }
+
+    /**
+     * Calls the onNearStart or onNearEnd callback, if the scroll position moved into the threshold of the
+     * corresponding edge. Each callback fires only once, until the content grows in the direction
+     *
+     * @private
+     * @param {boolean} aIsX Whether to check the x direction or not
+     * @param {number} aOldValue The scroll position before the change
+     * @param {number} aNewValue The scroll position after the change
+     */
+    _checkNearEdges(aIsX, aOldValue, aNewValue) {
+        const axis = aIsX ? 'x' : 'y';
+        const threshold = getThresholdAsPixel(
+            this._options.nearEdgeThreshold,
+            this._getSize(aIsX ? 'clientWidth' : 'clientHeight'),
+            200
+        );
+        // only moving towards an edge brings it near, so scrolling away from the start doesn't count
+        const isNearStart = aNewValue < aOldValue && aNewValue <= threshold;
+        const distanceToEnd = (aIsX ? this._getMaxScrollLeft() : this._getMaxScrollTop()) - aNewValue;
+        const isNearEnd = aNewValue > aOldValue && distanceToEnd <= threshold;
+
+        if (isNearStart && this._nearEdgeArmed[`${axis}Start`] && typeof this._options.onNearStart === 'function') {
+            this._nearEdgeArmed[`${axis}Start`] = false;
+            this._options.onNearStart({ axis, distance: aNewValue });
+        }
+        else if (isNearEnd && this._nearEdgeArmed[`${axis}End`] && typeof this._options.onNearEnd === 'function') {
+            this._nearEdgeArmed[`${axis}End`] = false;
+            this._options.onNearEnd({ axis, distance: distanceToEnd });
+        }
+    }
+
+    /**
+     * Re-arms the near edge callbacks for the directions, whose content has grown
+     *
+     * @private
+     * @param {boolean} aXHasGrown Whether the content has grown in x direction
+     * @param {boolean} aYHasGrown Whether the content has grown in y direction
+     */
+    _rearmNearEdges(aXHasGrown, aYHasGrown) {
+        if (aXHasGrown) {
+            this._nearEdgeArmed.xStart = true;
+            this._nearEdgeArmed.xEnd = true;
+        }
+        if (aYHasGrown) {
+            this._nearEdgeArmed.yStart = true;
+            this._nearEdgeArmed.yEnd = true;
+        }
+    }
+
+    /**
+     * Registers given handler for given event type. Available types are scroll, scrollstart,
+     * scrollend, reachtop, reachbottom, reachleft, reachright and resize
+     *
+     * @param {string} aType The type of the event to listen to
+     * @param {Function} aHandler The handler, that gets called with a PocScrollbarEvent
+     * @return {PocScrollbar} This instance for chaining
+     */
+    on(aType, aHandler) {
+        if (typeof aHandler === 'function') {
+            this._eventHandlers[aType] = this._eventHandlers[aType] || [];
+            this._eventHandlers[aType].push(aHandler);
+        }
+
+        return this;
+    }
+
+    /**
+     * Removes given handler for given event type. If no handler is given, all handlers for the
+     * type get removed, and if no type is given, all handlers get removed. The internal handlers of
+     * the virtual list, the auto hiding scrollbars and linked instances only get removed by reference
+     *
+     * @param {string} [aType] The type of the event to remove the handler from
+     * @param {Function} [aHandler] The handler to remove
+     * @return {PocScrollbar} This instance for chaining
+     */
+    off(aType, aHandler) {
+        if (typeof aType !== 'string') {
+            Object.keys(this._eventHandlers).forEach(aKey => this.off(aKey));
+        }
+        else if (typeof aHandler !== 'function') {
+            if (this._eventHandlers[aType]) {
+                this._eventHandlers[aType] = this._eventHandlers[aType].filter(isInternalHandler);
+            }
+        }
+        else if (this._eventHandlers[aType]) {
+            this._eventHandlers[aType] = this._eventHandlers[aType].filter(aEntry => aEntry !== aHandler);
+        }
+
+        return this;
+    }
+
+    /**
+     * Gets called, when the user starts to scroll with the wheel, touch, keyboard or the scrollbars. User input
+     * always wins over running animations, so a running animation stops right where it is. The scrollView calls
+     * this for the scrollbars
+     */
+    userInputStarted() {
+        this._stopAnimation();
+    }
+
+    /**
+     * Gets called by the scrollView, when the user lets go of a dragged scrollbar. The scroll position
+     * settles on the nearest snap point, if the snap option is set
+     */
+    userInputEnded() {
+        this._snap();
+    }
+
+    /**
+     * Stops the currently running animation, if there is one. The promise of the animation
+     * gets resolved with false
+     *
+     * @private
+     */
+    _stopAnimation() {
+        if (this._animation !== null) {
+            const animation = this._animation;
+
+            this._animation = null;
+            animation.stop();
+            animation.resolve(false);
+        }
+    }
+
+    /**
+     * Returns the maximal valid scrollTop value
+     *
+     * @private
+     * @return {number}
+     */
+    _getMaxScrollTop() {
+        return this._getSize('scrollHeight') - this._getSize('clientHeight');
+    }
+
+    /**
+     * Returns the maximal valid scrollLeft value
+     *
+     * @private
+     * @return {number}
+     */
+    _getMaxScrollLeft() {
+        return this._getSize('scrollWidth') - this._getSize('clientWidth');
+    }
+
+    /**
+     * Returns the size with given name of the container, or the measured one during a change check. This way
+     * the change check doesn't need to lay the container out again, after it has measured it
+     *
+     * @private
+     * @param {string} aName The name of the size: clientWidth, clientHeight, scrollWidth or scrollHeight
+     * @return {number}
+     */
+    _getSize(aName) {
+        return this._measurement !== null ? this._measurement[aName] : this._container[aName];
+    }
+
+    /**
+     * Scrolls animated to given position. Missing values in the position keep the current value.
+     * Any user input (wheel, touch or scrollbar) stops the animation.
+     *
+     * @param {{top: number, left: number}} aPosition The position to scroll to
+     * @param {PocScrollbarAnimationOptions} [aAnimationOptions = {}] The options for the animation
+     * @return {Promise.<boolean>} A promise, that resolves with true if the animation completed,
+     * or false if it got stopped
+     */
+    scrollTo(aPosition, aAnimationOptions = {}) {
+        this._stopAnimation();
+
+        const startTop = this._container.scrollTop;
+        const startLeft = this._getContainerScrollLeft();
+        // first validate the target values, so the animation doesn't run against the edges
+        const targetTop = typeof aPosition.top === 'number' ?
+            Math.max(0, Math.min(aPosition.top, this._getMaxScrollTop())) : startTop;
+        const targetLeft = typeof aPosition.left === 'number' ?
+            Math.max(0, Math.min(aPosition.left, this._getMaxScrollLeft())) : startLeft;
+        const duration = typeof aAnimationOptions.duration === 'number' ? aAnimationOptions.duration : 300;
+        const easing = typeof aAnimationOptions.easing === 'function' ?
+            aAnimationOptions.easing : (easings[aAnimationOptions.easing] || easings.easeInOut);
+
+        // if there is nothing to animate, we simply jump to the target
+        if (duration <= 0 || (targetTop === startTop && targetLeft === startLeft)) {
+            this.scrollTop(targetTop);
+            this.scrollLeft(targetLeft);
+
+            return Promise.resolve(true);
+        }
+
+        return new Promise((aResolve) => {
+            let startTime = null;
+            const animation = {
+                resolve: aResolve,
+                stop: null
+            };
+
+            animation.stop = requestFrameLoop((aTimestamp) => {
+                startTime = startTime === null ? aTimestamp : startTime;
+
+                const progress = Math.min((aTimestamp - startTime) / duration, 1);
+                const easedProgress = easing(progress);
+
+                this.scrollTop(Math.round(startTop + ((targetTop - startTop) * easedProgress)));
+                this.scrollLeft(Math.round(startLeft + ((targetLeft - startLeft) * easedProgress)));
+
+                if (progress < 1) {
+                    return true;
+                }
+
+                this._animation = null;
+                aResolve(true);
+
+                return false;
+            });
+
+            this._animation = animation;
+        });
+    }
+
+    /**
+     * Scrolls animated by given distance. For details see scrollTo
+     *
+     * @param {{top: number, left: number}} aDistance The distance to scroll by
+     * @param {PocScrollbarAnimationOptions} [aAnimationOptions = {}] The options for the animation
+     * @return {Promise.<boolean>} A promise, that resolves with true if the animation completed,
+     * or false if it got stopped
+     */
+    scrollBy(aDistance, aAnimationOptions = {}) {
+        return this.scrollTo({
+            top: this._container.scrollTop + (aDistance.top || 0),
+            left: this._getContainerScrollLeft() + (aDistance.left || 0)
+        }, aAnimationOptions);
+    }
+
+    /**
+     * Scrolls the given descendant of the container into view
+     *
+     * @param {Element} aElement The element to reveal
+     * @param {PocScrollbarScrollIntoViewOptions} [aOptions = {}] The options for the alignment and animation
+     * @return {Promise.<boolean>} A promise, that resolves with true if the scrolling completed, or false if it
+     * got stopped or the element isn't inside the container
+     */
+    scrollIntoView(aElement, aOptions = {}) {
+        const offset = getOffsetInContainer(aElement, this._container);
+
+        if (offset === null) {
+            return Promise.resolve(false);
+        }
+
+        const margin = typeof aOptions.margin === 'number' ? aOptions.margin : 0;
+        const scrollTop = this._container.scrollTop;
+        const scrollLeft = this._getContainerScrollLeft();
+        const isVisible = offset.top - margin >= scrollTop &&
+            offset.left - margin >= scrollLeft &&
+            offset.top + aElement.offsetHeight + margin <= scrollTop + this._container.clientHeight &&
+            offset.left + aElement.offsetWidth + margin <= scrollLeft + this._container.clientWidth;
+
+        if (aOptions.ifNeeded && isVisible) {
+            return Promise.resolve(true);
+        }
+
+        return this.scrollTo({
+            top: getRevealingScrollPosition(
+                offset.top,
+                aElement.offsetHeight,
+                scrollTop,
+                this._container.clientHeight,
+                aOptions.block || 'start',
+                margin
+            ),
+            left: getRevealingScrollPosition(
+                offset.left,
+                aElement.offsetWidth,
+                scrollLeft,
+                this._container.clientWidth,
+                aOptions.inline || 'nearest',
+                margin
+            )
+        }, getAnimationOptions(aOptions.animate));
+    }
+
+    /**
+     * Returns whether the container follows new content at the bottom. This is only possible with
+     * the stickToBottom option
+     *
+     * @return {boolean}
+     */
+    isStuckToBottom() {
+        return this._isStuckToBottom;
+    }
+
+    /**
+     * Tells the scrollbars about a changed size of the content right away, without waiting for the next
+     * change check. This is useful, if the content got resized by code, that has to scroll it immediately
+     */
+    update() {
+        this._scrollView.parentUpdated();
+    }
+
+    /**
+     * Scrolls to the bottom, so the container follows new content again. Without the stickToBottom
+     * option, the container follows the content till it gets scrolled up
+     */
+    stickToBottom() {
+        this._stopAnimation();
+        this.scrollTop(this._getMaxScrollTop());
+        this._isStuckToBottom = true;
+    }
+
+    /**
+     * This function serves as getter and setter for the scrollTop value
+     *
+     * @param {number} [aScrollTop] The new scrollTop value
+     * @param {string} [aSource='programmatic'] The source of the change, that gets passed to the events
+     * @return {number} The new scrollTop value
+     */
+    scrollTop(aScrollTop, aSource = 'programmatic') {
+        // If this method was called with something else than a number, or scrolling is
+        // completely disabled, just return the scroll top and do nothing else
+        if (typeof aScrollTop !== 'number' || this._options.disableYScrolling) {
+            return this._container.scrollTop;
+        }
+
+        let newScrollTop = aScrollTop;
+        // then validate the newScrollTop value
+        if (newScrollTop < 0) {
+            newScrollTop = 0;
+        }
+        else if (newScrollTop > this._getMaxScrollTop()) {
+            newScrollTop = this._getMaxScrollTop();
+        }
+
+        // if the scroll top has changed
+        if (this._scrollTop !== newScrollTop) {
+            const oldScrollTop = this._scrollTop;
+
+            // call the update trigger and save the scroll top value
+            this._scrollView.scrollTopUpdated(newScrollTop);
+            this._container.scrollTop = newScrollTop;
+            this._scrollTop = newScrollTop;
+
+            // and tell everybody interested about the change
+            this._scrollUpdated(aSource);
+            if (newScrollTop === 0) {
+                this._emit('reachtop', aSource);
+            }
+            else if (newScrollTop === this._getMaxScrollTop()) {
+                this._emit('reachbottom', aSource);
+            }
+            this._checkNearEdges(false, oldScrollTop, newScrollTop);
+
+            // scrolling up stops following the content, scrolling back to the bottom starts it again
+            if (this._options.stickToBottom || this._isStuckToBottom) {
+                this._isStuckToBottom = newScrollTop === this._getMaxScrollTop();
+            }
+        }
+
+        // finally simply return the scrollTop value
+        return newScrollTop;
+    }
+
+    /**
+     * This function serves as getter and setter for the scrollLeft value
+     *
+     * @param {number} [aScrollLeft] The new scrollLeft value
+     * @param {string} [aSource='programmatic'] The source of the change, that gets passed to the events
+     * @return {number} The new scrollLeft value
+     */
+    scrollLeft(aScrollLeft, aSource = 'programmatic') {
+        // If this method was called with something else than a number, or scrolling is
+        // completely disabled, just return the scroll top and do nothing else
+        if (arguments.length === 0 || this._options.disableXScrolling) {
+            return this._getContainerScrollLeft();
+        }
+
+        let newScrollLeft = aScrollLeft;
+        // now validate the scrollLeft value
+        if (newScrollLeft < 0) {
+            newScrollLeft = 0;
+        }
+        else if (newScrollLeft > this._getMaxScrollLeft()) {
+            newScrollLeft = this._getMaxScrollLeft();
+        }
+
+        // if scrollLeft has changed
+        if (this._scrollLeft !== newScrollLeft) {
+            const oldScrollLeft = this._scrollLeft;
+
+            // call the update trigger and save set the scrollLeft value
+            this._scrollView.scrollLeftUpdated(newScrollLeft);
+            setScrollLeft(this._container, newScrollLeft, this._isRtl);
+            this._scrollLeft = newScrollLeft;
+
+            // and tell everybody interested about the change
+            this._scrollUpdated(aSource);
+            if (newScrollLeft === 0) {
+                this._emit('reachleft', aSource);
+            }
+            else if (newScrollLeft === this._getMaxScrollLeft()) {
+                this._emit('reachright', aSource);
+            }
+            this._checkNearEdges(true, oldScrollLeft, newScrollLeft);
+        }
+
+        // finally return the scrollLeft value
+        return newScrollLeft;
+    }
+
+    /**
+     * Returns a copy of the current options
+     *
+     * @return {PocScrollbarOptions}
+     */
+    getOptions() {
+        return Object.assign({}, this._options);
+    }
+
+    /**
+     * Changes given options, while the other options keep their values. The scrollbars, event listeners
+     * and the change detection get set up again with the new options, but the scroll position stays
+     *
+     * @param {PocScrollbarOptions} aOptions The options to change
+     */
+    setOptions(aOptions) {
+        this._options = Object.assign({}, this._options, aOptions);
+
+        // the new scrollbars don't know about an overscroll, so the content gets back in place
+        this._resetOverscroll();
+        this._optionsDestroyCallbacks.forEach(aCallback => aCallback());
+        this._optionsDestroyCallbacks = [];
+        this._setupOptions();
+
+        // the old scrollEnd debounce got destroyed, so a running scroll needs the new one to end
+        if (this._isScrolling) {
+            this._debouncedScrollEnd();
+        }
+
+        if (Object.prototype.hasOwnProperty.call(aOptions, 'stickToBottom')) {
+            this._isStuckToBottom = !!aOptions.stickToBottom;
+        }
+        if (this._isStuckToBottom) {
+            this.scrollTop(this._getMaxScrollTop());
+        }
+        this._selectScrollAnchor();
+    }
+
+    /**
+     * Links the scroll positions of two instances, so every change of one of them gets applied to the other one
+     * too, for example for frozen headers of a table. The second instance takes over the position of the first
+     * one immediately. Instances can be linked to several others, changes get passed on to all of them
+     *
+     * @param {PocScrollbar} aFirst The first instance to link
+     * @param {PocScrollbar} aSecond The second instance to link
+     * @param {PocScrollbarLinkOptions} [aOptions={}] The axis and mode of the link
+     * @return {Function} A function, that removes the link again
+     */
+    static link(aFirst, aSecond, aOptions = {}) {
+        const axis = aOptions.axis || 'both';
+        const isProportional = !!aOptions.proportional;
+        const applyPosition = (aSource, aTarget) => {
+            // the target is the origin of this change, or got updated already by another link
+            if (aTarget._container === null || linkingInstances.indexOf(aTarget) !== -1) {
+                return;
+            }
+
+            linkingInstances.push(aSource);
+            try {
+                if (axis !== 'y') {
+                    aTarget.scrollLeft(getLinkedScrollPosition(
+                        aSource._scrollLeft,
+                        aSource._getMaxScrollLeft(),
+                        aTarget._getMaxScrollLeft(),
+                        isProportional
+                    ), 'link');
+                }
+                if (axis !== 'x') {
+                    aTarget.scrollTop(getLinkedScrollPosition(
+                        aSource._scrollTop,
+                        aSource._getMaxScrollTop(),
+                        aTarget._getMaxScrollTop(),
+                        isProportional
+                    ), 'link');
+                }
+            }
+            finally {
+                linkingInstances.pop();
+            }
+        };
+        const firstHandler = markAsInternalHandler(() => applyPosition(aFirst, aSecond));
+        const secondHandler = markAsInternalHandler(() => applyPosition(aSecond, aFirst));
+
+        aFirst.on('scroll', firstHandler);
+        aSecond.on('scroll', secondHandler);
+        applyPosition(aFirst, aSecond);
+
+        return () => {
+            aFirst.off('scroll', firstHandler);
+            aSecond.off('scroll', secondHandler);
+        };
+    }
+
+    /**
+     * This method is like the destructor. If you destroy this object, all footprints like
+     * event listeners and so on get removed and destroyed.
+     */
+    destroy() {
+        // execute all destroy callbacks
+        this._optionsDestroyCallbacks.forEach(aCallback => aCallback());
+        this._destroyCallbacks.forEach(aCallback => aCallback());
+
+        // and null the pointers to the GC can clean up, even if this object isn't cleaned up
+        this._scrollView = null;
+        this._container = null;
+        this._scrollAnchor = null;
+        this._destroyCallbacks = [];
+        this._optionsDestroyCallbacks = [];
+        this._eventHandlers = {};
+    }
+}
+
+// and add the scrollview as static property, so it's overwritable
+/**
  * A reference to the scrollview to use
  * @static
  * @type {ScrollView}
  */
 PocScrollbar.ScrollView = ScrollView;
+
+/**
+ * A reference to the virtual list, that renders long lists into the container of an instance
+ * @static
+ * @type {VirtualList}
+ */
+PocScrollbar.VirtualList = VirtualList;
@@ -0,0 +1,140 @@
+/**
+ * @typedef {Object} SchedulerTask
+ * @property {Function} prepare Gets called first and may write to the DOM. Returning false skips the task
+ * @property {Function} read Gets called after all tasks got prepared, and must only read from the DOM
+ * @property {Function} write Gets called after all tasks have read, and may write to the DOM again
+ */
+
+/**
+ * The scheduled tasks grouped by their interval. Each group has one interval timer for all its tasks, and runs
+ * them in the next animation frame after every tick
+ *
+ * @type {Object.<number, {
+ *     interval: number,
+ *     tasks: Array.<SchedulerTask>,
+ *     intervalPointer: number|null,
+ *     framePointer: number|null
+ * }>}
+ */
+const groups = {};
+
+/**
+ * Runs all tasks of given group in phases. This way the DOM gets laid out only once for all tasks,
+ * instead of once for every task
+ *
+ * @param {{tasks: Array.<SchedulerTask>}} aGroup The group to run
+ */
+function runGroup(aGroup) {
+    // a task might remove other tasks, so we work with a copy
+    const preparedTasks = aGroup.tasks.slice().filter(aTask => aTask.prepare() !== false);
+
+    preparedTasks.forEach(aTask => aTask.read());
+    preparedTasks.forEach(aTask => aTask.write());
+}
+
+/**
+ * Runs the tasks of given group in the next animation frame, right before the browser lays the page out
+ * anyway. This way the phases don't cause an additional layout in between two frames
+ *
+ * @param {{tasks: Array.<SchedulerTask>, framePointer: number|null}} aGroup The group to run
+ */
+function requestGroupFrame(aGroup) {
+    const group = aGroup;
+
+    if (group.framePointer === null) {
+        group.framePointer = window.requestAnimationFrame(() => {
+            group.framePointer = null;
+            runGroup(group);
+        });
+    }
+}
+
+/**
+ * Starts the interval timer of given group
+ *
+ * @param {{interval: number, intervalPointer: number|null, framePointer: number|null}} aGroup The group to start
+ */
+function startGroup(aGroup) {
+    const group = aGroup;
+
+    group.intervalPointer = window.setInterval(() => requestGroupFrame(group), group.interval);
+}
+
+/**
+ * Stops the interval timer and the requested frame of given group
+ *
+ * @param {{intervalPointer: number|null, framePointer: number|null}} aGroup The group to stop
+ */
+function stopGroup(aGroup) {
+    const group = aGroup;
+
+    if (group.intervalPointer !== null) {
+        window.clearInterval(group.intervalPointer);
+        group.intervalPointer = null;
+    }
+    if (group.framePointer !== null) {
+        window.cancelAnimationFrame(group.framePointer);
+        group.framePointer = null;
+    }
+}
+
+/**
+ * Pauses all groups while the document is hidden. When it gets visible again, all tasks run in the next frame,
+ * because the content might have changed in the meantime
+ */
+function visibilityChangeHandler() {
+    Object.keys(groups).forEach((aInterval) => {
+        const group = groups[aInterval];
+
+        stopGroup(group);
+
+        if (!document.hidden) {
+            requestGroupFrame(group);
+            startGroup(group);
+        }
+    });
+}
+
+/**
+ * Runs given task in given interval. All tasks with the same interval share one timer and run together in the
+ * following animation frame, and no task runs while the document is hidden
+ *
+ * @param {number} aInterval The interval in milliseconds
+ * @param {SchedulerTask} aTask The task to run
+ * @return {Function} A function, that removes the task again
+ */
+export function scheduleTask(aInterval, aTask) {
+    if (Object.keys(groups).length === 0) {
+        document.addEventListener('visibilitychange', visibilityChangeHandler);
+    }
+
+    if (!groups[aInterval]) {
+        groups[aInterval] = { interval: aInterval, tasks: [], intervalPointer: null, framePointer: null };
+
+        if (!document.hidden) {
+            startGroup(groups[aInterval]);
+        }
+    }
+
+    groups[aInterval].tasks.push(aTask);
+
+    return () => {
+        const group = groups[aInterval];
+
+        // the task might be removed already
+        if (!group || group.tasks.indexOf(aTask) === -1) {
+            return;
+        }
+
+        group.tasks = group.tasks.filter(aEntry => aEntry !== aTask);
+
+        if (group.tasks.length === 0) {
+            stopGroup(group);
+            delete groups[aInterval];
+        }
+
+        if (Object.keys(groups).length === 0) {
+            document.removeEventListener('visibilitychange', visibilityChangeHandler);
+        }
+    };
+}
@@ -1,5 +1,106 @@
 
-import { applyOptionsToScrollBarElement } from './helper';
+import {
+    applyOptionsToScrollBarElement,
+    getKeyDeltaAsPixel,
+    autoRepeat,
+    debounce,
+    getScrollLeft,
+    markAsInternalHandler
+} from './helper';
+
+/**
+ * A counter for generating unique ids for containers without an id, so the scrollbars can
+ * reference them with aria-controls
+ *
+ * @type {number}
+ */
+let generatedIdCounter = 0;
+
+/**
+ * Sets the aria-valuenow attribute of given scrollbar element, if it has changed
+ *
+ * @param {Element|null} aElement The scrollbar element to update
+ * @param {number} aValue The new scroll position
+ */
+function updateAriaValue(aElement, aValue) {
+    const value = `${Math.round(aValue)}`;
+
+    if (aElement && aElement.getAttribute('aria-valuenow') !== value) {
+        aElement.setAttribute('aria-valuenow', value);
+    }
+}
+
+/**
+ * Moves given element to given position with a transform, which doesn't cause a layout
+ *
+ * @param {Element|null} aElement The element to move
+ * @param {number} aX The position in x direction
+ * @param {number} aY The position in y direction
+ */
+function translateElement(aElement, aX, aY) {
+    const element = aElement;
+
+    if (element !== null) {
+        element.style.transform = `translate3d(${aX}px, ${aY}px, 0px)`;
+    }
+}
+
+/**
+ * Captures the pointer with given id for given element, so all following events of the pointer
+ * get targeted to the element
+ *
+ * @param {Element} aElement The element, that captures the pointer
+ * @param {number} aPointerId The id of the pointer to capture
+ */
+function capturePointer(aElement, aPointerId) {
+    // capturing throws for pointers, that aren't active (anymore), so in this case we simply don't capture
+    try {
+        aElement.setPointerCapture(aPointerId);
+    }
+    catch (e) {
+        // nothing to do here
+    }
+}
+
+/**
+ * Releases the captured pointer with given id from given element
+ *
+ * @param {Element} aElement The element, that captured the pointer
+ * @param {number} aPointerId The id of the pointer to release
+ */
+function releasePointer(aElement, aPointerId) {
+    if (aElement.hasPointerCapture(aPointerId)) {
+        aElement.releasePointerCapture(aPointerId);
+    }
+}
+
+/**
+ * Calls given callbacks for all mouse moves till the mouse button gets released
+ *
+ * @param {Function} aMoveCallback The callback for each mousemove event
+ * @param {Function} aEndCallback The callback for the release of the mouse button
+ * @return {Function} A destroy callback, that removes the listeners without calling the end callback
+ */
+function listenUntilRelease(aMoveCallback, aEndCallback) {
+    let tmpEndPointer = null;
+    const removeListeners = () => {
+        document.body.removeEventListener('mousemove', aMoveCallback);
+        document.body.removeEventListener('mouseup', tmpEndPointer);
+        document.body.removeEventListener('mouseleave', tmpEndPointer);
+    };
+
+    tmpEndPointer = () => {
+        // for cleanup simply remove all event listeners
+        removeListeners();
+        aEndCallback();
+    };
+
+    document.body.addEventListener('mousemove', aMoveCallback);
+    document.body.addEventListener('mouseup', tmpEndPointer);
+    document.body.addEventListener('mouseleave', tmpEndPointer);
+
+    return removeListeners;
+}
 
 /**
  * The scrollView is the visual representation of the current scroll state. While the scroll
@@ -19,6 +120,15 @@ export class ScrollView {
         this._scrollerParent = aParentInstance;
         this._options = aOptions;
         this._destroyCallbacks = [];
+        // in right-to-left containers the vertical scrollbar is at the left side
+        this._isRtl = !!aParentInstance._isRtl;
+
+        // the scrollbars reference the container for assistive technologies, so it needs an id
+        if (!this._parent.id) {
+            generatedIdCounter += 1;
+            this._parent.id = `poc-scrollbar-${generatedIdCounter}`;
+            this._destroyCallbacks.push(() => this._parent.removeAttribute('id'));
+        }
 
         // then calculate a initial scroll factor, that is used for scrolling with the scrollbars
         // itself. The problem is, that if the user grabs the vertical scrollbar, and drags it
@@ -27,9 +137,50 @@ export class ScrollView {
         this._scrollHeightFactor = this._parent.scrollHeight / this._parent.clientHeight;
         this._scrollWidthFactor = this._parent.scrollWidth / this._parent.clientWidth;
 
-        // setup scroll elements
+        // while the content is overscrolled, the scrollbars get shrinked by these values
+        this._overscrollTop = 0;
+        this._overscrollLeft = 0;
+        this._elementHeightShrink = 0;
+        this._elementWidthShrink = 0;
+
+        // the scrollbars move within these ranges, which are smaller than the parent if there are buttons
+        this._xRangeStart = 0;
+        this._xRangeLength = this._parent.clientWidth;
+        this._yRangeStart = 0;
+        this._yRangeLength = this._parent.clientHeight;
+        // the sizes of the start and end buttons, which get read only when the buttons get shown
+        this._buttonSizes = { x: null, y: null };
+
+        // the scroll position, that the elements get positioned for. The elements get moved only once per
+        // animation frame, no matter how often the scroll position changes in between
+        this._scrollTop = 0;
+        this._scrollLeft = 0;
+        this._renderFrame = null;
+        this._destroyCallbacks.push(() => this._cancelRender());
+
+        // while the user interacts with the scrollbars, they never get hidden
+        this._isInteracting = false;
+        this._debouncedHide = null;
+
+        // setup scroll elements. The tracks come first, so the scrollbars are on top of them
+        const showXTrack = aOptions.showTracks && !aOptions.disableXScrolling;
+        const showYTrack = aOptions.showTracks && !aOptions.disableYScrolling;
+
+        const showXButtons = aOptions.showButtons && !aOptions.disableXScrolling;
+        const showYButtons = aOptions.showButtons && !aOptions.disableYScrolling;
+
+        this._xTrackElement = showXTrack ? this._setupTrackElement(true) : null;
+        this._yTrackElement = showYTrack ? this._setupTrackElement(false) : null;
         this._xElement = aOptions.disableXScrolling ? null : this._setupElement(true);
         this._yElement = aOptions.disableYScrolling ? null : this._setupElement(false);
+        this._xLeftButtonElement = showXButtons ? this._setupButtonElement('xLeftButton', 'ArrowLeft', true) : null;
+        this._xRightButtonElement = showXButtons ? this._setupButtonElement('xRightButton', 'ArrowRight', true) : null;
+        this._yUpButtonElement = showYButtons ? this._setupButtonElement('yUpButton', 'ArrowUp', false) : null;
+        this._yDownButtonElement = showYButtons ? this._setupButtonElement('yDownButton', 'ArrowDown', false) : null;
+
+        if (aOptions.autoHide) {
+            this._setupAutoHide();
+        }
 
         // and call all update functions initially
         this.parentUpdated();
@@ -42,7 +193,6 @@ export class ScrollView {
      * @return {Element}
      */
     _setupElement(aIsX) {
-        const element = document.createElement('div');
         const details = aIsX ? {
             name: 'xElement',
             event: 'clientX',
@@ -54,17 +204,20 @@ export class ScrollView {
             factor: '_scrollHeightFactor',
             callback: 'scrollTop'
         };
+        const element = this._createElement(details.name);
 
-        // set some default styles
-        element.style.width = '0px';
-        element.style.height = '0px';
-        element.style.top = '0px';
-        element.style.left = '0px';
-        element.style.position = 'absolute';
-
-        applyOptionsToScrollBarElement(element, details.name, this._options);
+        // describe the element for assistive technologies
+        element.setAttribute('role', 'scrollbar');
+        element.setAttribute('aria-controls', this._parent.id);
+        element.setAttribute('aria-orientation', aIsX ? 'horizontal' : 'vertical');
+        element.setAttribute('aria-valuemin', '0');
+        element.setAttribute('aria-valuemax', '0');
+        element.setAttribute('aria-valuenow', '0');
 
         if (!this._options.disableInteractionWithScrollbars) {
+            // the browser must not handle touches on the scrollbar as panning, so we get all pointer events
+            element.style.touchAction = 'none';
+
             const eventListeners = this._generateEventHandlerForElement
                 .call(this, details.event, details.factor, details.callback);
             const keys = Object.keys(eventListeners);
@@ -73,18 +226,251 @@ export class ScrollView {
             this._destroyCallbacks.push(() => {
                 keys.forEach(aKey => element.removeEventListener(aKey, eventListeners[aKey]));
             });
+
+            // focusable scrollbars can be operated with the keyboard as well
+            if (this._options.focusableScrollbars) {
+                const keyboardListener = this._generateKeyboardHandlerForElement(aIsX);
+
+                element.setAttribute('tabindex', '0');
+                element.addEventListener('keydown', keyboardListener);
+                this._destroyCallbacks.push(() => element.removeEventListener('keydown', keyboardListener));
+            }
+        }
+
+        this._appendElement(element);
+
+        return element;
+    }
+
+    /**
+     * Generates an Element to use as track behind the scrollbar
+     *
+     * @param {boolean} aIsX Whether the element is X or not
+     * @return {Element}
+     */
+    _setupTrackElement(aIsX) {
+        const element = this._createElement(aIsX ? 'xTrack' : 'yTrack');
+
+        // the track is just decoration for assistive technologies, the scrollbar describes everything
+        element.setAttribute('aria-hidden', 'true');
+
+        if (!this._options.disableInteractionWithScrollbars) {
+            const mousedownListener = this._generateTrackHandler(aIsX);
+
+            element.addEventListener('mousedown', mousedownListener);
+            this._destroyCallbacks.push(() => element.removeEventListener('mousedown', mousedownListener));
+        }
+
+        this._appendElement(element);
+
+        return element;
+    }
+
+    /**
+     * Generates an Element to use as button at one end of the scrollbar
+     *
+     * @param {string} aName The name of the button (xLeftButton, xRightButton, yUpButton or yDownButton)
+     * @param {string} aKey The key, that the button behaves like
+     * @param {boolean} aIsX Whether the button belongs to the X element or not
+     * @return {Element}
+     */
+    _setupButtonElement(aName, aKey, aIsX) {
+        const element = this._createElement(aName);
+
+        // the buttons are just decoration for assistive technologies, like the arrow keys on the scrollbar
+        element.setAttribute('aria-hidden', 'true');
+
+        if (!this._options.disableInteractionWithScrollbars) {
+            const mousedownListener = this._generateButtonHandler(aKey, aIsX);
+
+            element.addEventListener('mousedown', mousedownListener);
+            this._destroyCallbacks.push(() => element.removeEventListener('mousedown', mousedownListener));
         }
 
-        this._parent.appendChild(element);
+        this._appendElement(element);
+
+        return element;
+    }
+
+    /**
+     * Creates an element with the default styles for all scrollbar elements and applies the
+     * options for given element name
+     *
+     * @param {string} aName The element name to read the styles and class options for
+     * @return {Element}
+     */
+    _createElement(aName) {
+        const element = document.createElement('div');
+
+        // set some default styles
+        element.style.width = '0px';
+        element.style.height = '0px';
+        element.style.top = '0px';
+        element.style.left = '0px';
+        element.style.position = 'absolute';
+
+        applyOptionsToScrollBarElement(element, aName, this._options);
+
+        return element;
+    }
+
+    /**
+     * Appends given element to the parent and takes care of removing it on destroy
+     *
+     * @param {Element} aElement
+     */
+    _appendElement(aElement) {
+        this._parent.appendChild(aElement);
         this._destroyCallbacks.push(() => {
-            this._parent.removeChild(element);
+            this._parent.removeChild(aElement);
         });
+    }
 
-        return element;
+    /**
+     * This function generates a mousedown handler for a button element. Clicking the button scrolls
+     * like pressing the corresponding arrow key, holding the mouse down repeats this
+     *
+     * @param {string} aKey The key, that the button behaves like
+     * @param {boolean} aIsX Whether the button belongs to the X element or not
+     * @return {Function} The mousedown handler
+     */
+    _generateButtonHandler(aKey, aIsX) {
+        const parentWriteCallback = aIsX ? 'scrollLeft' : 'scrollTop';
+
+        return (aEvent) => {
+            // first of all we need to prevent the default behaviour, so nothing gets selected
+            aEvent.preventDefault();
+            this._scrollerParent.userInputStarted();
+
+            this._repeatUntilRelease(() => {
+                const distance = getKeyDeltaAsPixel(aKey, false, this._parent)[aIsX ? 'x' : 'y'];
+                const currentValue = this._scrollerParent[parentWriteCallback]();
+
+                return this._scrollerParent[parentWriteCallback](currentValue + distance, 'scrollbar') !== currentValue;
+            }, () => {});
+        };
     }
 
     /**
-     * This function generates event handlers for a scrollbar element, based on given data.
+     * This function generates a mousedown handler for a track element. Clicking the track pages
+     * towards the pointer, and holding the mouse down repeats this till the scrollbar reaches the pointer
+     *
+     * @param {boolean} aIsX Whether the element is X or not
+     * @return {Function} The mousedown handler
+     */
+    _generateTrackHandler(aIsX) {
+        const attribute = aIsX ? 'clientX' : 'clientY';
+        const getPointerPosition = (aEvent) => {
+            const rect = this._parent.getBoundingClientRect();
+
+            return aIsX ?
+                aEvent[attribute] - rect.left - this._parent.clientLeft :
+                aEvent[attribute] - rect.top - this._parent.clientTop;
+        };
+
+        return (aEvent) => {
+            // first of all we need to prevent the default behaviour, so nothing gets selected
+            aEvent.preventDefault();
+            this._scrollerParent.userInputStarted();
+
+            // the pointer might move while the mouse is held down, so we keep track of it
+            let pointerPosition = getPointerPosition(aEvent);
+
+            this._repeatUntilRelease(() => this._pageTowards(aIsX, pointerPosition), (e) => {
+                pointerPosition = getPointerPosition(e);
+            });
+        };
+    }
+
+    /**
+     * Calls given callback repeatedly like a held key, till the mouse button gets released. A destroyed
+     * scrollView stops the repetition as well, so the timers and listeners don't outlive it
+     *
+     * @param {Function} aCallback The callback to repeat, which returns false to stop the repetition
+     * @param {Function} aMoveCallback The callback for each mousemove event, while the mouse button is held down
+     */
+    _repeatUntilRelease(aCallback, aMoveCallback) {
+        this._setInteracting(true);
+
+        const stopRepeating = autoRepeat(aCallback, 300, 50);
+        let stopListening = null;
+        const destroyCallback = () => {
+            stopRepeating();
+            stopListening();
+        };
+
+        stopListening = listenUntilRelease(aMoveCallback, () => {
+            stopRepeating();
+            this._destroyCallbacks = this._destroyCallbacks.filter(aEntry => aEntry !== destroyCallback);
+            this._setInteracting(false);
+        });
+        this._destroyCallbacks.push(destroyCallback);
+    }
+
+    /**
+     * Scrolls the parent by one page towards given pointer position, if the scrollbar isn't
+     * under the pointer already
+     *
+     * @param {boolean} aIsX Whether to page in x direction or not
+     * @param {number} aPointerPosition The pointer position relative to the visible area of the parent
+     * @return {boolean} Whether the parent got scrolled or not
+     */
+    _pageTowards(aIsX, aPointerPosition) {
+        const parentWriteCallback = aIsX ? 'scrollLeft' : 'scrollTop';
+        const currentValue = this._scrollerParent[parentWriteCallback]();
+        const elementStart = this._getElementOffset(aIsX, currentValue);
+        const elementEnd = elementStart + (aIsX ?
+            this._elementWidth - this._elementWidthShrink :
+            this._elementHeight - this._elementHeightShrink);
+        const pageSize = aIsX ? this._parentWidth : this._parentHeight;
+        let newValue = currentValue;
+
+        if (aPointerPosition < elementStart) {
+            newValue -= pageSize;
+        }
+        else if (aPointerPosition > elementEnd) {
+            newValue += pageSize;
+        }
+        else {
+            return false;
+        }
+
+        return this._scrollerParent[parentWriteCallback](newValue, 'scrollbar') !== currentValue;
+    }
+
+    /**
+     * Calculates the offset of the scrollbar relative to the visible area of the parent
+     *
+     * @param {boolean} aIsX Whether to calculate the offset of the X element or not
+     * @param {number} aScrollValue The current scrollLeft or scrollTop value
+     * @return {number}
+     */
+    _getElementOffset(aIsX, aScrollValue) {
+        if (aIsX) {
+            let partSize = aScrollValue / (this._parentScrollWidth - this._parentWidth);
+            partSize *= (this._xRangeLength - this._elementWidth);
+            // a scrollbar shrinked by an overscroll at the right has to stick to the right
+            if (this._overscrollLeft > 0) {
+                partSize += this._elementWidthShrink;
+            }
+
+            return this._xRangeStart + partSize;
+        }
+
+        let partSize = aScrollValue / (this._parentScrollHeight - this._parentHeight);
+        partSize *= (this._yRangeLength - this._elementHeight);
+        // a scrollbar shrinked by an overscroll at the bottom has to stick to the bottom
+        if (this._overscrollTop > 0) {
+            partSize += this._elementHeightShrink;
+        }
+
+        return this._yRangeStart + partSize;
+    }
+
+    /**
+     * This function generates event handlers for a scrollbar element, based on given data. The handlers
+     * are based on pointer events, so mouse, pen and touch share the same code path. The pointer gets
+     * captured by the element, so the drag continues even if the pointer leaves the element or the window.
      * Warning: You need to set the this context of this function to the scrollView instance you're working with!
      *
      * @param {string} aAttribute The attribute to use from the event for calculation
@@ -94,10 +480,20 @@ export class ScrollView {
      */
     _generateEventHandlerForElement(aAttribute, aPropertyFactor, aParentWriteCallback) {
         return {
-            mousedown: (aEvent) => {
-                // first of all we need to prevent the default behaviour, because otherwise the mouse
-                // event might get handled as drag along
+            pointerdown: (aEvent) => {
+                // only the primary button of a mouse starts dragging
+                if (aEvent.pointerType === 'mouse' && aEvent.button !== 0) {
+                    return;
+                }
+
+                // first of all we need to prevent the default behaviour, because otherwise the
+                // event might get handled as drag along or text selection
                 aEvent.preventDefault();
+                this._scrollerParent.userInputStarted();
+                this._setInteracting(true);
+
+                const element = aEvent.currentTarget;
+                const pointerToTrack = aEvent.pointerId;
                 // then setup some cache variables, that contain the last page value and the current
                 // scroll value we want to modify
                 let tmpMover = aEvent[aAttribute];
@@ -105,141 +501,458 @@ export class ScrollView {
 
                 // then setup a pointer to the move function for registering and unregistering
                 let tmpMovePointer = (e) => {
+                    // if it's not the pointer we track, just do nothing
+                    if (e.pointerId !== pointerToTrack) {
+                        return;
+                    }
+
                     // here we calculate the new scrollPosition
                     scrollPositionFloat += (e[aAttribute] - tmpMover) * this[aPropertyFactor];
                     // save to the cache
                     tmpMover = e[aAttribute];
                     // and set the new scroll positioning. The callback will tell us, what it did with the value
-                    scrollPositionFloat = this._scrollerParent[aParentWriteCallback](Math.round(scrollPositionFloat));
+                    scrollPositionFloat = this._scrollerParent[aParentWriteCallback](
+                        Math.round(scrollPositionFloat),
+                        'scrollbar'
+                    );
                 };
 
                 // then we setup a function for the end function, which cleans up everything
-                let tmpEndPointer = () => {
-                    // for cleanup simply remove all event listeners
-                    document.body.removeEventListener('mousemove', tmpMovePointer);
-                    document.body.removeEventListener('mouseup', tmpEndPointer);
-                    document.body.removeEventListener('mouseleave', tmpEndPointer);
+                let tmpEndPointer = (e) => {
+                    if (e.pointerId !== pointerToTrack) {
+                        return;
+                    }
+
+                    this._setInteracting(false);
+
+                    // for cleanup simply remove all event listeners and release the pointer
+                    element.removeEventListener('pointermove', tmpMovePointer);
+                    element.removeEventListener('pointerup', tmpEndPointer);
+                    element.removeEventListener('pointercancel', tmpEndPointer);
+                    element.removeEventListener('lostpointercapture', tmpEndPointer);
+                    releasePointer(element, pointerToTrack);
+
+                    // the position might have to settle on a snap point
+                    this._scrollerParent.userInputEnded();
 
                     // and null the pointers, just to make sure the GC can clean up everything
                     tmpMovePointer = null;
                     tmpEndPointer = null;
                 };
 
-                // and add the created event listeners, so we can actually track the movement
-                document.body.addEventListener('mousemove', tmpMovePointer);
-                document.body.addEventListener('mouseup', tmpEndPointer);
-                document.body.addEventListener('mouseleave', tmpEndPointer);
-            },
-            touchstart: (aEvent) => {
-                // first of all prevent the default, so the browser does nothing strange
-                aEvent.preventDefault();
-                // then we save the touch we want to track, so we provide multitouch support
-                const touchToTrack = aEvent.which || 0;
-                // and init the cache variables
-                let tmpMover = aEvent.touches[touchToTrack][aAttribute];
-                let scrollPositionFloat = this._scrollerParent[aParentWriteCallback]();
+                // and add the created event listeners to the capturing element, so we can track the movement
+                capturePointer(element, pointerToTrack);
+                element.addEventListener('pointermove', tmpMovePointer);
+                element.addEventListener('pointerup', tmpEndPointer);
+                element.addEventListener('pointercancel', tmpEndPointer);
+                element.addEventListener('lostpointercapture', tmpEndPointer);
+            }
+        };
+    }
 
-                // setup a move function, that we can register and unregister
-                let tmpMovePointer = (aaEvent) => {
-                    // if it's not the correct touch to track, just do nothing
-                    if (aaEvent.which !== touchToTrack) {
-                        return;
-                    }
-                    // first calculate the scroll new scroll position
-                    scrollPositionFloat += (aaEvent.touches[touchToTrack][aAttribute] - tmpMover);
-                    scrollPositionFloat *= this[aPropertyFactor];
-                    // then update the cache
-                    tmpMover = aaEvent.touches[touchToTrack][aAttribute];
-
-                    // and write the new scroll value
-                    scrollPositionFloat = this._scrollerParent[aParentWriteCallback](Math.round(scrollPositionFloat));
-                };
+    /**
+     * This function generates a keydown handler for a focused scrollbar element. The keys only scroll
+     * in the direction of the scrollbar
+     *
+     * @param {boolean} aIsX Whether the element is X or not
+     * @return {Function} The keydown handler
+     */
+    _generateKeyboardHandlerForElement(aIsX) {
+        const parentWriteCallback = aIsX ? 'scrollLeft' : 'scrollTop';
 
-                // and setup a clean up function, if the touch ends
-                let tmpEndPointer = (aaEvent) => {
-                    // if the touch is the wrong one, we don't want to clean up, so do nothing
-                    if (aaEvent.which !== touchToTrack) {
-                        return;
-                    }
+        return (aEvent) => {
+            if (aEvent.defaultPrevented || aEvent.altKey || aEvent.ctrlKey || aEvent.metaKey) {
+                return;
+            }
 
-                    // cleanup the event listeners
-                    document.body.removeEventListener('touchmove', tmpMovePointer);
-                    document.body.removeEventListener('touchend', tmpEndPointer);
-                    document.body.removeEventListener('touchleave', tmpEndPointer);
+            const delta = getKeyDeltaAsPixel(aEvent.key, aEvent.shiftKey, this._parent, aIsX);
+            const distance = delta === null ? 0 : delta[aIsX ? 'x' : 'y'];
 
-                    // and null some pointers for the GC
-                    tmpMovePointer = null;
-                    tmpEndPointer = null;
-                };
+            if (distance === 0) {
+                return;
+            }
+
+            this._scrollerParent.userInputStarted();
+
+            const currentValue = this._scrollerParent[parentWriteCallback]();
 
-                // finally add the event listners for the gesture
-                document.body.addEventListener('touchmove', tmpMovePointer);
-                document.body.addEventListener('touchend', tmpEndPointer);
-                document.body.addEventListener('touchleave', tmpEndPointer);
+            if (this._scrollerParent[parentWriteCallback](currentValue + distance, 'keyboard') !== currentValue) {
+                aEvent.preventDefault();
             }
         };
     }
 
     /**
-     * This method handles updating the scrollTop property to the scrollbars. Every time
-     * the parent scrollTop changes, this recalculates the style
+     * Sets the auto hiding of the scrollbars up. The scrollbars get revealed on scroll and when the
+     * pointer hovers near the edges of the parent, and get hidden after the autoHideDelay
+     */
+    _setupAutoHide() {
+        const delay = typeof this._options.autoHideDelay === 'number' ? this._options.autoHideDelay : 1000;
+        const revealZone = typeof this._options.autoHideRevealZone === 'number' ?
+            this._options.autoHideRevealZone : 20;
+        const [debouncedHide, destroyHide] = debounce(() => this._hide(), delay);
+        const scrollListener = markAsInternalHandler(() => {
+            this.reveal(true);
+            this.reveal(false);
+        });
+        const eventListeners = {
+            mousemove: (aEvent) => {
+                const rect = this._parent.getBoundingClientRect();
+                const pointerX = aEvent.clientX - rect.left - this._parent.clientLeft;
+                const pointerY = aEvent.clientY - rect.top - this._parent.clientTop;
+
+                // the x element lives at the bottom, the y element at the right edge, or the left edge with rtl
+                this._isHoveredX = pointerY >= this._parentHeight - revealZone;
+                this._isHoveredY = this._isRtl ? pointerX <= revealZone : pointerX >= this._parentWidth - revealZone;
+
+                if (this._isHoveredX) {
+                    this.reveal(true);
+                }
+                if (this._isHoveredY) {
+                    this.reveal(false);
+                }
+            },
+            mouseleave: () => {
+                this._isHoveredX = false;
+                this._isHoveredY = false;
+                debouncedHide();
+            }
+        };
+        const keys = Object.keys(eventListeners);
+
+        this._debouncedHide = debouncedHide;
+        this._isHoveredX = false;
+        this._isHoveredY = false;
+
+        keys.forEach(aKey => this._parent.addEventListener(aKey, eventListeners[aKey]));
+        this._scrollerParent.on('scroll', scrollListener);
+        this._destroyCallbacks.push(() => {
+            destroyHide();
+            keys.forEach(aKey => this._parent.removeEventListener(aKey, eventListeners[aKey]));
+            this._scrollerParent.off('scroll', scrollListener);
+        });
+
+        // initially the scrollbars are hidden
+        this._setVisibility(true, false);
+        this._setVisibility(false, false);
+    }
+
+    /**
+     * Returns all elements, that belong to the scrollbar of given direction
      *
-     * @param {number} aScrollTop
+     * @param {boolean} aIsX Whether to return the elements for the X direction or not
+     * @return {Array.<Element>}
      */
-    scrollTopUpdated(aScrollTop) {
-        if (this._yElement && this._parentScrollHeight > this._parentHeight) {
-            let partSize = aScrollTop / (this._parentScrollHeight - this._parentHeight);
-            partSize *= (this._parentHeight - this._elementHeight);
-            this._yElement.style.top = `${aScrollTop + partSize}px`;
+    _getElementsForDirection(aIsX) {
+        const elements = aIsX ?
+            [this._xTrackElement, this._xElement, this._xLeftButtonElement, this._xRightButtonElement] :
+            [this._yTrackElement, this._yElement, this._yUpButtonElement, this._yDownButtonElement];
+
+        return elements.filter(aElement => aElement !== null);
+    }
+
+    /**
+     * Toggles the visibility classes for the elements of given direction
+     *
+     * @param {boolean} aIsX Whether to toggle the elements for the X direction or not
+     * @param {boolean} aIsVisible Whether the elements should be visible or not
+     */
+    _setVisibility(aIsX, aIsVisible) {
+        this._getElementsForDirection(aIsX).forEach((aElement) => {
+            aElement.classList.add(aIsVisible ? 'poc-scrollbar-visible' : 'poc-scrollbar-hidden');
+            aElement.classList.remove(aIsVisible ? 'poc-scrollbar-hidden' : 'poc-scrollbar-visible');
+        });
+    }
+
+    /**
+     * Marks whether the user currently interacts with the scrollbars. At the end of an
+     * interaction the auto hiding starts again
+     *
+     * @param {boolean} aIsInteracting
+     */
+    _setInteracting(aIsInteracting) {
+        this._isInteracting = aIsInteracting;
+
+        if (!aIsInteracting && this._debouncedHide !== null) {
+            this._debouncedHide();
         }
+    }
 
-        if (this._xElement) {
-            this._xElement.style.top = `${Math.floor(aScrollTop + this._parentHeight)}px`;
+    /**
+     * Returns whether the user currently interacts with the scrollbars, like dragging them or holding a button
+     *
+     * @return {boolean}
+     */
+    isInteracting() {
+        return this._isInteracting;
+    }
+
+    /**
+     * Hides all scrollbars, that are neither hovered nor interacted with
+     */
+    _hide() {
+        if (this._isInteracting) {
+            return;
+        }
+
+        if (!this._isHoveredX) {
+            this._setVisibility(true, false);
+        }
+        if (!this._isHoveredY) {
+            this._setVisibility(false, false);
         }
     }
 
+    /**
+     * Reveals the scrollbar of given direction, if the autoHide option is set. It gets hidden
+     * again after the autoHideDelay
+     *
+     * @param {boolean} aIsX Whether to reveal the X element or not
+     */
+    reveal(aIsX) {
+        if (this._debouncedHide === null) {
+            return;
+        }
+
+        this._setVisibility(aIsX, true);
+        this._debouncedHide();
+    }
+
+    /**
+     * Requests an animation frame for rendering the positions of the elements, if there isn't one already
+     *
+     * @private
+     */
+    _requestRender() {
+        if (this._renderFrame === null) {
+            this._renderFrame = window.requestAnimationFrame(() => {
+                this._renderFrame = null;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Cancels the requested animation frame for rendering, if there is one
+     *
+     * @private
+     */
+    _cancelRender() {
+        if (this._renderFrame !== null) {
+            window.cancelAnimationFrame(this._renderFrame);
+            this._renderFrame = null;
+        }
+    }
+
+    /**
+     * Moves all elements to their positions for the current scroll position. The elements are children of the
+     * parent, so they get positioned relative to the scrolled content. Usually this happens in an animation frame,
+     * but it can get called directly, if the elements have to be at their positions immediately
+     */
+    render() {
+        this._cancelRender();
+        this._renderAt(this._scrollTop, this._scrollLeft);
+    }
+
+    /**
+     * Moves all elements to their positions at the start of the parent, which is at the right for right-to-left
+     * parents. The scroll position and the values for assistive technologies stay untouched, so the parent can
+     * measure its content without the elements in the way and render them at their positions again afterwards
+     */
+    renderAtStart() {
+        this._cancelRender();
+        this._renderAt(0, this._isRtl ? this._parentScrollWidth - this._parentWidth : 0);
+    }
+
+    /**
+     * Moves all elements to their positions for given scroll position
+     *
+     * @private
+     * @param {number} aScrollTop The scrollTop value to render the elements for
+     * @param {number} aScrollLeft The scrollLeft value to render the elements for, counted from the left edge
+     */
+    _renderAt(aScrollTop, aScrollLeft) {
+        // the content of right-to-left parents overflows to the left, so the left edge of the visible area is
+        // at a negative position for the absolute elements
+        const visibleLeft = this._isRtl ? aScrollLeft - (this._parentScrollWidth - this._parentWidth) : aScrollLeft;
+        // the vertical elements are at the right edge, or at the left edge in right-to-left parents
+        const yLeft = this._isRtl ? visibleLeft : Math.floor(visibleLeft + this._parentWidth);
+        const xTop = Math.floor(aScrollTop + this._parentHeight);
+
+        translateElement(
+            this._xElement,
+            visibleLeft + (this._parentScrollWidth > this._parentWidth ?
+                this._getElementOffset(true, aScrollLeft) : this._xRangeStart),
+            xTop
+        );
+        translateElement(
+            this._yElement,
+            yLeft,
+            aScrollTop + (this._parentScrollHeight > this._parentHeight ?
+                this._getElementOffset(false, aScrollTop) : this._yRangeStart)
+        );
+        translateElement(this._xTrackElement, visibleLeft, xTop);
+        translateElement(this._yTrackElement, yLeft, aScrollTop);
+        translateElement(this._xLeftButtonElement, visibleLeft, xTop);
+        translateElement(this._xRightButtonElement, visibleLeft + this._xRangeStart + this._xRangeLength, xTop);
+        translateElement(this._yUpButtonElement, yLeft, aScrollTop);
+        translateElement(this._yDownButtonElement, yLeft, aScrollTop + this._yRangeStart + this._yRangeLength);
+    }
+
+    /**
+     * This method handles updating the scrollTop property to the scrollbars. Every time
+     * the parent scrollTop changes, the elements get moved in the next animation frame
+     *
+     * @param {number} aScrollTop
+     */
+    scrollTopUpdated(aScrollTop) {
+        this._scrollTop = aScrollTop;
+        updateAriaValue(this._yElement, aScrollTop);
+        this._requestRender();
+    }
+
     /**
      * This method handles updating the scrollLeft property to the scrollbars. Every time
-     * the parent scrollLeft changes, this recalculates the style
+     * the parent scrollLeft changes, the elements get moved in the next animation frame
      *
-     * @param {number} aScrollLeft
+     * @param {number} aScrollLeft The scrollLeft value counted from the left edge, also for right-to-left parents
      */
     scrollLeftUpdated(aScrollLeft) {
-        if (this._xElement && this._parentScrollWidth > this._parentWidth) {
-            let partSize = aScrollLeft / (this._parentScrollWidth - this._parentWidth);
-            partSize *= (this._parentWidth - this._elementWidth);
-            this._xElement.style.left = `${aScrollLeft + partSize}px`;
+        this._scrollLeft = aScrollLeft;
+        updateAriaValue(this._xElement, aScrollLeft);
+        this._requestRender();
+    }
+
+    /**
+     * This method handles updating the overscroll of the parent. While the content is overscrolled,
+     * the scrollbars shrink like they get squeezed against the edge
+     *
+     * @param {number} aOverscrollLeft The visible overscroll in x direction, positive values at the right
+     * @param {number} aOverscrollTop The visible overscroll in y direction, positive values at the bottom
+     */
+    overscrollUpdated(aOverscrollLeft, aOverscrollTop) {
+        this._overscrollLeft = aOverscrollLeft;
+        this._overscrollTop = aOverscrollTop;
+
+        // the scrollbars shrink by the overscroll, but not below a third of their size
+        this._elementWidthShrink = Math.min(Math.abs(aOverscrollLeft), (this._elementWidth * 2) / 3);
+        this._elementHeightShrink = Math.min(Math.abs(aOverscrollTop), (this._elementHeight * 2) / 3);
+
+        if (this._xElement) {
+            this._xElement.style.width = `${this._elementWidth - this._elementWidthShrink}px`;
         }
 
         if (this._yElement) {
-            this._yElement.style.left = `${Math.floor(aScrollLeft + this._parentWidth)}px`;
+            this._yElement.style.height = `${this._elementHeight - this._elementHeightShrink}px`;
+        }
+
+        this.scrollTopUpdated(this._parent.scrollTop);
+        this.scrollLeftUpdated(getScrollLeft(this._parent, this._isRtl));
+    }
+
+    /**
+     * Returns all elements, that this scrollView added to the parent
+     *
+     * @return {Array.<Element>}
+     */
+    getElements() {
+        return [
+            this._xTrackElement,
+            this._yTrackElement,
+            this._xElement,
+            this._yElement,
+            this._xLeftButtonElement,
+            this._xRightButtonElement,
+            this._yUpButtonElement,
+            this._yDownButtonElement
+        ].filter(aElement => aElement !== null);
+    }
+
+    /**
+     * Updates the visibility of the buttons for given direction and reads their sizes to calculate
+     * the range, in which the scrollbar moves. The sizes get read only when the buttons get shown, so
+     * an update of visible buttons doesn't need a layout
+     *
+     * @param {boolean} aIsX Whether to update the X buttons or not
+     * @param {boolean} aIsVisible Whether the scrollbar of the buttons is visible
+     */
+    _updateButtons(aIsX, aIsVisible) {
+        const startElement = aIsX ? this._xLeftButtonElement : this._yUpButtonElement;
+        const endElement = aIsX ? this._xRightButtonElement : this._yDownButtonElement;
+        const sizeProperty = aIsX ? 'offsetWidth' : 'offsetHeight';
+        const axis = aIsX ? 'x' : 'y';
+        let startSize = 0;
+        let endSize = 0;
+
+        if (startElement) {
+            startElement.style.display = aIsVisible ? 'block' : 'none';
+            endElement.style.display = aIsVisible ? 'block' : 'none';
+
+            if (!aIsVisible) {
+                this._buttonSizes[axis] = null;
+            }
+            else if (this._buttonSizes[axis] === null) {
+                this._buttonSizes[axis] = { start: startElement[sizeProperty], end: endElement[sizeProperty] };
+            }
+
+            startSize = aIsVisible ? this._buttonSizes[axis].start : 0;
+            endSize = aIsVisible ? this._buttonSizes[axis].end : 0;
+        }
+
+        if (aIsX) {
+            this._xRangeStart = startSize;
+            this._xRangeLength = this._parentWidth - startSize - endSize;
+        }
+        else {
+            this._yRangeStart = startSize;
+            this._yRangeLength = this._parentHeight - startSize - endSize;
         }
     }
 
     /**
      * This method handles the case, that the parent has updates. All data gets updated
-     * and recalculated here.
+     * and recalculated here. Sizes and scroll positions, that got measured already, don't get read again
+     *
+     * @param {PocScrollbarMeasurement} [aMeasurement] The measured sizes and scroll positions of the parent
      */
-    parentUpdated() {
+    parentUpdated(aMeasurement) {
+        const measurement = aMeasurement || {
+            clientWidth: this._parent.clientWidth,
+            scrollWidth: this._parent.scrollWidth,
+            clientHeight: this._parent.clientHeight,
+            scrollHeight: this._parent.scrollHeight,
+            scrollTop: this._parent.scrollTop,
+            scrollLeft: getScrollLeft(this._parent, this._isRtl)
+        };
+
         // read and recalculate all needed data
-        this._parentWidth = this._parent.clientWidth;
-        this._parentScrollWidth = this._parent.scrollWidth;
-        this._elementWidth = (this._parentWidth * this._parentWidth) / this._parentScrollWidth;
-        this._parentHeight = this._parent.clientHeight;
-        this._parentScrollHeight = this._parent.scrollHeight;
-        this._elementHeight = (this._parentHeight * this._parentHeight) / this._parentScrollHeight;
-        this._scrollHeightFactor = this._parent.scrollHeight / this._parent.clientHeight;
-        this._scrollWidthFactor = this._parent.scrollWidth / this._parent.clientWidth;
+        this._parentWidth = measurement.clientWidth;
+        this._parentScrollWidth = measurement.scrollWidth;
+        this._parentHeight = measurement.clientHeight;
+        this._parentScrollHeight = measurement.scrollHeight;
+
+        // the buttons are only visible with their scrollbar, and make the range of the scrollbar smaller
+        this._updateButtons(true, this._parentWidth < this._parentScrollWidth);
+        this._updateButtons(false, this._parentHeight < this._parentScrollHeight);
+
+        this._elementWidth = (this._xRangeLength * this._parentWidth) / this._parentScrollWidth;
+        this._elementHeight = (this._yRangeLength * this._parentHeight) / this._parentScrollHeight;
+        this._scrollHeightFactor = this._parentScrollHeight / this._yRangeLength;
+        this._scrollWidthFactor = this._parentScrollWidth / this._xRangeLength;
 
         // determine visibility of x element
         if (this._xElement) {
+            this._xElement.setAttribute(
+                'aria-valuemax',
+                `${Math.max(this._parentScrollWidth - this._parentWidth, 0)}`
+            );
+
             if (this._parentWidth < this._parentScrollWidth) {
                 // check if the xMinSize option is available and if the element is too small
                 if (typeof this._options.xMinSize === 'number' && this._elementWidth < this._options.xMinSize) {
                     this._elementWidth = this._options.xMinSize;
                 }
 
-                this.scrollTopUpdated(this._parent.scrollTop);
                 this._xElement.style.display = 'block';
                 this._xElement.style.width = `${this._elementWidth}px`;
             }
@@ -250,13 +963,17 @@ export class ScrollView {
 
         // determine visibility of y element
         if (this._yElement) {
+            this._yElement.setAttribute(
+                'aria-valuemax',
+                `${Math.max(this._parentScrollHeight - this._parentHeight, 0)}`
+            );
+
             if (this._parentHeight < this._parentScrollHeight) {
                 // check if the yMinSize option is available and if the element is too small
                 if (typeof this._options.yMinSize === 'number' && this._elementHeight < this._options.yMinSize) {
                     this._elementHeight = this._options.yMinSize;
                 }
 
-                this.scrollLeftUpdated(this._parent.scrollLeft);
                 this._yElement.style.display = 'block';
                 this._yElement.style.height = `${this._elementHeight}px`;
             }
@@ -264,6 +981,24 @@ export class ScrollView {
                 this._yElement.style.display = 'none';
             }
         }
+
+        // and the tracks span the whole visible area, if their scrollbar is visible
+        if (this._xTrackElement) {
+            this._xTrackElement.style.display = this._parentWidth < this._parentScrollWidth ? 'block' : 'none';
+            this._xTrackElement.style.width = `${this._parentWidth}px`;
+        }
+
+        if (this._yTrackElement) {
+            this._yTrackElement.style.display = this._parentHeight < this._parentScrollHeight ? 'block' : 'none';
+            this._yTrackElement.style.height = `${this._parentHeight}px`;
+        }
+
+        // the sizes have changed already, so the elements get moved immediately too
+        this._scrollTop = measurement.scrollTop;
+        this._scrollLeft = measurement.scrollLeft;
+        updateAriaValue(this._xElement, this._scrollLeft);
+        updateAriaValue(this._yElement, this._scrollTop);
+        this.render();
     }
 
     /**
@@ -280,5 +1015,11 @@ export class ScrollView {
         this._scrollerParent = null;
         this._xElement = null;
         this._yElement = null;
+        this._xTrackElement = null;
+        this._yTrackElement = null;
+        this._xLeftButtonElement = null;
+        this._xRightButtonElement = null;
+        this._yUpButtonElement = null;
+        this._yDownButtonElement = null;
     }
 }
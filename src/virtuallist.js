@@ -0,0 +1,303 @@
+import { getRevealingScrollPosition, getAnimationOptions, markAsInternalHandler } from './helper';
+
+/**
+ * @typedef {Object} VirtualListOptions
+ * @property {number} itemCount The number of items in the list
+ * @property {number|Function} itemHeight The height of every item in pixels, or a function, that returns the
+ * height for given index. With measureItems this is just the estimation for items, that didn't get rendered yet
+ * @property {Function} renderItem A function, that returns the element for given index
+ * @property {boolean} [measureItems=false] Whether to measure the height of the rendered items
+ * @property {number} [overscan=3] The number of items to render additionally before and after the visible ones
+ */
+
+/**
+ * The virtual list renders only the visible items of a long list into the container of a PocScrollbar
+ * instance. The scrollbar handles the input and the scrollbars, while the list sizes its content element to
+ * the height of all items, so the scrollbar gets the virtual scroll height of the whole list.
+ */
+export class VirtualList {
+    /**
+     * The constructor sets the content element up and renders the visible items
+     *
+     * @param {PocScrollbar} aScrollbar The scrollbar instance, whose container gets the items
+     * @param {VirtualListOptions} aOptions The options for the list
+     */
+    constructor(aScrollbar, aOptions) {
+        this._scrollbar = aScrollbar;
+        this._container = aScrollbar._container;
+        this._options = aOptions;
+        this._itemCount = 0;
+        this._heights = [];
+        this._offsets = [0];
+        this._renderedItems = {};
+        // the item, where the current touch started, and whether it's only kept for the touch
+        this._touchedElement = null;
+        this._isTouchedElementRemoved = false;
+
+        // the content element has the height of all items, and the items get positioned absolutely in it
+        this._content = document.createElement('div');
+        this._content.style.position = 'relative';
+        this._content.style.overflow = 'hidden';
+        this._container.insertBefore(this._content, this._container.firstChild);
+
+        // every scroll and resize might change the visible items
+        this._renderHandler = markAsInternalHandler(() => this._render());
+        this._scrollbar.on('scroll', this._renderHandler).on('resize', this._renderHandler);
+
+        // the touch events keep their target, even if it gets removed. So the touched item has to stay in the
+        // document till the touch ends, otherwise its events wouldn't reach the scrollbar anymore
+        this._touchStartHandler = aEvent => this._keepTouchedElement(aEvent.target);
+        this._touchEndHandler = (aEvent) => {
+            if (aEvent.touches.length === 0) {
+                this._releaseTouchedElement();
+            }
+        };
+        this._container.addEventListener('touchstart', this._touchStartHandler);
+        this._container.addEventListener('touchend', this._touchEndHandler);
+        this._container.addEventListener('touchcancel', this._touchEndHandler);
+
+        this.update(aOptions.itemCount);
+    }
+
+    /**
+     * Returns the estimated or fixed height for the item with given index
+     *
+     * @private
+     * @param {number} aIndex The index of the item
+     * @return {number}
+     */
+    _getItemHeight(aIndex) {
+        const itemHeight = this._options.itemHeight;
+
+        return typeof itemHeight === 'function' ? itemHeight(aIndex) : itemHeight;
+    }
+
+    /**
+     * Remembers the item, that contains given touch target
+     *
+     * @private
+     * @param {Node} aTarget The target of the touchstart event
+     */
+    _keepTouchedElement(aTarget) {
+        let element = aTarget;
+
+        while (element !== null && element.parentNode !== this._content) {
+            element = element.parentNode;
+        }
+
+        // another finger might have touched a new item, while the old one is only kept for its touch
+        if (element !== null && element !== this._touchedElement) {
+            this._releaseTouchedElement();
+            this._touchedElement = element;
+        }
+    }
+
+    /**
+     * Forgets the touched item, and removes it, if it got removed during the touch
+     *
+     * @private
+     */
+    _releaseTouchedElement() {
+        if (this._isTouchedElementRemoved) {
+            this._content.removeChild(this._touchedElement);
+        }
+
+        this._touchedElement = null;
+        this._isTouchedElementRemoved = false;
+    }
+
+    /**
+     * Removes given item, or only hides it while it's touched
+     *
+     * @private
+     * @param {Element} aElement The item to remove
+     */
+    _removeElement(aElement) {
+        if (aElement === this._touchedElement) {
+            const element = aElement;
+
+            element.style.visibility = 'hidden';
+            this._isTouchedElementRemoved = true;
+        }
+        else {
+            this._content.removeChild(aElement);
+        }
+    }
+
+    /**
+     * Recalculates the offsets of all items from their heights, and applies them to the content element and
+     * the rendered items
+     *
+     * @private
+     */
+    _updateOffsets() {
+        this._offsets = [0];
+        for (let i = 0; i < this._itemCount; i += 1) {
+            this._offsets.push(this._offsets[i] + this._heights[i]);
+        }
+
+        Object.keys(this._renderedItems).forEach((aKey) => {
+            this._renderedItems[aKey].style.top = `${this._offsets[aKey]}px`;
+        });
+
+        // the scrollbars need to know about the new virtual height immediately
+        this._content.style.height = `${this._offsets[this._itemCount]}px`;
+        this._scrollbar.update();
+    }
+
+    /**
+     * Searches the index of the item at given position with a binary search over the offsets
+     *
+     * @private
+     * @param {number} aPosition The position in the content
+     * @return {number} The index of the item
+     */
+    _getIndexAtPosition(aPosition) {
+        let low = 0;
+        let high = this._itemCount - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+
+            if (this._offsets[middle] <= aPosition) {
+                low = middle;
+            }
+            else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Renders all visible items and removes the items, that aren't visible anymore. Measured items, whose
+     * height differs from the estimation, move the following items, so this repeats till the items are stable
+     *
+     * @private
+     */
+    _render() {
+        // the list might be destroyed by a handler, that ran before
+        if (this._container === null || this._itemCount === 0) {
+            return;
+        }
+
+        const overscan = typeof this._options.overscan === 'number' ? this._options.overscan : 3;
+        const scrollTop = this._container.scrollTop;
+        const firstIndex = Math.max(this._getIndexAtPosition(scrollTop) - overscan, 0);
+        const lastIndex = Math.min(
+            this._getIndexAtPosition((scrollTop + this._container.clientHeight) - 1) + overscan,
+            this._itemCount - 1
+        );
+        const newIndexes = [];
+        let hasChangedHeights = false;
+
+        // first remove all items out of the visible range
+        Object.keys(this._renderedItems).forEach((aKey) => {
+            const index = window.parseInt(aKey, 10);
+
+            if (index < firstIndex || index > lastIndex) {
+                this._removeElement(this._renderedItems[aKey]);
+                delete this._renderedItems[aKey];
+            }
+        });
+
+        // then render all missing items
+        for (let i = firstIndex; i <= lastIndex; i += 1) {
+            if (this._renderedItems[i] === undefined) {
+                const element = this._options.renderItem(i);
+
+                element.style.position = 'absolute';
+                element.style.top = `${this._offsets[i]}px`;
+                element.style.left = '0px';
+                element.style.right = '0px';
+                if (!this._options.measureItems) {
+                    element.style.height = `${this._heights[i]}px`;
+                }
+
+                this._content.appendChild(element);
+                this._renderedItems[i] = element;
+                newIndexes.push(i);
+            }
+        }
+
+        // the new items get measured after all got added, so the browser lays them out only once
+        if (this._options.measureItems) {
+            newIndexes.forEach((aIndex) => {
+                const height = this._renderedItems[aIndex].offsetHeight;
+
+                if (height !== this._heights[aIndex]) {
+                    this._heights[aIndex] = height;
+                    hasChangedHeights = true;
+                }
+            });
+        }
+
+        // and if the measured heights differ, the offsets have changed, so other items might be visible now
+        if (hasChangedHeights) {
+            this._updateOffsets();
+            this._render();
+        }
+    }
+
+    /**
+     * Updates the list after the items have changed. All items get rendered again. With measureItems the
+     * known heights stay, till the items get measured again, and only new items get estimated
+     *
+     * @param {number} [aItemCount] The new number of items, defaults to the current number
+     */
+    update(aItemCount) {
+        this._itemCount = typeof aItemCount === 'number' ? aItemCount : this._itemCount;
+        this._heights = this._options.measureItems ? this._heights.slice(0, this._itemCount) : [];
+        for (let i = this._heights.length; i < this._itemCount; i += 1) {
+            this._heights.push(this._getItemHeight(i));
+        }
+
+        Object.keys(this._renderedItems).forEach(aKey => this._removeElement(this._renderedItems[aKey]));
+        this._renderedItems = {};
+
+        this._updateOffsets();
+        this._render();
+    }
+
+    /**
+     * Scrolls the item with given index into view
+     *
+     * @param {number} aIndex The index of the item
+     * @param {{align: string, animate: (boolean|PocScrollbarAnimationOptions)}} [aOptions = {}] The alignment
+     * (start, center, end or nearest) and animation, like for scrollIntoView
+     * @return {Promise.<boolean>} A promise, that resolves with true if the scrolling completed
+     */
+    scrollToIndex(aIndex, aOptions = {}) {
+        const index = Math.max(0, Math.min(aIndex, this._itemCount - 1));
+
+        return this._scrollbar.scrollTo({
+            top: getRevealingScrollPosition(
+                this._offsets[index],
+                this._heights[index] || 0,
+                this._container.scrollTop,
+                this._container.clientHeight,
+                aOptions.align || 'start',
+                0
+            )
+        }, getAnimationOptions(aOptions.animate));
+    }
+
+    /**
+     * This method is like the destructor. It removes the rendered items and the content element, but the
+     * scrollbar instance stays untouched
+     */
+    destroy() {
+        this._scrollbar.off('scroll', this._renderHandler).off('resize', this._renderHandler);
+        this._container.removeEventListener('touchstart', this._touchStartHandler);
+        this._container.removeEventListener('touchend', this._touchEndHandler);
+        this._container.removeEventListener('touchcancel', this._touchEndHandler);
+        this._container.removeChild(this._content);
+
+        this._scrollbar = null;
+        this._container = null;
+        this._content = null;
+        this._renderedItems = {};
+        this._touchedElement = null;
+    }
+}
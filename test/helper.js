@@ -0,0 +1,67 @@
+/**
+ * The callbacks of the requested animation frames, which only run with runFrame
+ *
+ * @type {Array.<{id: number, callback: Function}>}
+ */
+let frameCallbacks = [];
+
+/**
+ * The id for the next requested animation frame
+ *
+ * @type {number}
+ */
+let nextFrameId = 1;
+
+/**
+ * Replaces requestAnimationFrame and cancelAnimationFrame with spies, so the frames run only with runFrame.
+ * This has to be called in a beforeEach, because the spies get removed after every spec
+ */
+export function fakeAnimationFrames() {
+    frameCallbacks = [];
+    nextFrameId = 1;
+
+    spyOn(window, 'requestAnimationFrame').and.callFake((aCallback) => {
+        const id = nextFrameId;
+
+        nextFrameId += 1;
+        frameCallbacks.push({ id, callback: aCallback });
+
+        return id;
+    });
+    spyOn(window, 'cancelAnimationFrame').and.callFake((aId) => {
+        frameCallbacks = frameCallbacks.filter(aFrame => aFrame.id !== aId);
+    });
+}
+
+/**
+ * Runs the callbacks of all requested animation frames. Frames, that get requested meanwhile, wait for the next call
+ *
+ * @param {number} [aTimestamp=0] The timestamp for the callbacks
+ */
+export function runFrame(aTimestamp = 0) {
+    const callbacks = frameCallbacks;
+
+    frameCallbacks = [];
+    callbacks.forEach(aFrame => aFrame.callback(aTimestamp));
+}
+
+/**
+ * Returns the number of requested animation frames, that didn't run yet
+ *
+ * @return {number}
+ */
+export function getPendingFrameCount() {
+    return frameCallbacks.length;
+}
+
+/**
+ * Returns the position of given scrollbar element, which gets positioned with a transform
+ *
+ * @param {Element} aElement
+ * @return {{x: number, y: number}}
+ */
+export function getPosition(aElement) {
+    const translate = aElement.style.transform.match(/^translate3d\((-?[\d.]+)px, (-?[\d.]+)px, 0px\)$/);
+
+    return { x: parseFloat(translate[1]), y: parseFloat(translate[2]) };
+}
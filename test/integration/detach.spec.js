@@ -0,0 +1,82 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Detaching the container', () => {
+    let parent = null;
+    let child = null;
+
+    beforeEach(() => {
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+    });
+
+    afterEach(() => {
+        if (parent.parentNode) {
+            parent.parentNode.removeChild(parent);
+        }
+        parent = null;
+        child = null;
+    });
+
+    ['useMutationObserver', 'useResizeObserver'].forEach((aOption) => {
+        it(`should destroy itself and call ondetach with ${aOption}`, (done) => {
+            const ondetach = jasmine.createSpy('ondetach');
+            const instance = new PocScrollbar(parent, {
+                [aOption]: true,
+                ondetach
+            });
+
+            spyOn(instance, 'destroy').and.callThrough();
+            document.body.removeChild(parent);
+
+            setTimeout(() => {
+                expect(instance.destroy).toHaveBeenCalledTimes(1);
+                expect(ondetach).toHaveBeenCalledWith(parent);
+                expect(parent.children.length).toBe(1);
+                done();
+            }, 0);
+        });
+    });
+
+    it('should destroy itself and call ondetach with the interval', () => {
+        jasmine.clock().install();
+        fakeAnimationFrames();
+
+        const ondetach = jasmine.createSpy('ondetach');
+        const instance = new PocScrollbar(parent, { ondetach });
+
+        spyOn(instance, 'destroy').and.callThrough();
+        document.body.removeChild(parent);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(instance.destroy).toHaveBeenCalledTimes(1);
+        expect(ondetach).toHaveBeenCalledWith(parent);
+
+        jasmine.clock().uninstall();
+    });
+
+    it('should not call ondetach when destroyed manually', (done) => {
+        const ondetach = jasmine.createSpy('ondetach');
+        const instance = new PocScrollbar(parent, {
+            useMutationObserver: true,
+            ondetach
+        });
+
+        instance.destroy();
+        document.body.removeChild(parent);
+
+        setTimeout(() => {
+            expect(ondetach).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+});
@@ -0,0 +1,157 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Linked scrolling', () => {
+    let parents = [];
+    let instances = [];
+
+    const createInstance = (aContentWidth, aContentHeight) => {
+        const parent = document.createElement('div');
+        const child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = `${aContentHeight}px`;
+        child.style.width = `${aContentWidth}px`;
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        parents.push(parent);
+
+        const instance = new PocScrollbar(parent);
+
+        instances.push(instance);
+        return instance;
+    };
+
+    beforeEach(() => {
+        jasmine.clock().install();
+    });
+
+    afterEach(() => {
+        instances.forEach(aInstance => aInstance.destroy());
+        parents.forEach(aParent => document.body.removeChild(aParent));
+        instances = [];
+        parents = [];
+        jasmine.clock().uninstall();
+    });
+
+    it('should pass the scroll position on in both directions', () => {
+        const first = createInstance(300, 300);
+        const second = createInstance(300, 300);
+
+        PocScrollbar.link(first, second);
+
+        first.scrollTop(50);
+        first.scrollLeft(70);
+
+        expect(second.scrollTop()).toBe(50);
+        expect(second.scrollLeft()).toBe(70);
+
+        second.scrollTop(120);
+
+        expect(first.scrollTop()).toBe(120);
+    });
+
+    it('should keep the link, when the handlers of the user get removed', () => {
+        const first = createInstance(300, 300);
+        const second = createInstance(300, 300);
+
+        PocScrollbar.link(first, second);
+        first.off();
+        second.off('scroll');
+
+        first.scrollTop(50);
+
+        expect(second.scrollTop()).toBe(50);
+    });
+
+    it('should apply the position of the first instance to the second one immediately', () => {
+        const first = createInstance(300, 300);
+        const second = createInstance(300, 300);
+
+        first.scrollTop(80);
+        PocScrollbar.link(first, second);
+
+        expect(second.scrollTop()).toBe(80);
+    });
+
+    it('should link only the chosen axis', () => {
+        const body = createInstance(300, 300);
+        const header = createInstance(300, 300);
+
+        PocScrollbar.link(body, header, { axis: 'x' });
+
+        body.scrollTop(50);
+        body.scrollLeft(60);
+
+        expect(header.scrollTop()).toBe(0);
+        expect(header.scrollLeft()).toBe(60);
+
+        header.scrollTop(30);
+
+        expect(body.scrollTop()).toBe(50);
+    });
+
+    it('should link the positions proportionally', () => {
+        const first = createInstance(100, 300);
+        const second = createInstance(100, 500);
+
+        PocScrollbar.link(first, second, { proportional: true });
+
+        first.scrollTop(100);
+
+        expect(second.scrollTop()).toBe(200);
+
+        second.scrollTop(400);
+
+        expect(first.scrollTop()).toBe(200);
+    });
+
+    it('should emit the scroll events of linked instances with the link source', () => {
+        const first = createInstance(300, 300);
+        const second = createInstance(300, 300);
+        const firstHandler = jasmine.createSpy('firstHandler');
+        const secondHandler = jasmine.createSpy('secondHandler');
+
+        PocScrollbar.link(first, second);
+        first.on('scroll', firstHandler);
+        second.on('scroll', secondHandler);
+
+        first.scrollTop(50);
+
+        expect(firstHandler).toHaveBeenCalledTimes(1);
+        expect(secondHandler).toHaveBeenCalledTimes(1);
+        expect(secondHandler.calls.argsFor(0)[0].source).toBe('link');
+    });
+
+    it('should pass the position on to all linked instances without feedback loops', () => {
+        const first = createInstance(300, 300);
+        const second = createInstance(300, 300);
+        const third = createInstance(300, 300);
+        const firstHandler = jasmine.createSpy('firstHandler');
+
+        PocScrollbar.link(first, second);
+        PocScrollbar.link(second, third);
+        PocScrollbar.link(third, first);
+        first.on('scroll', firstHandler);
+
+        third.scrollTop(90);
+
+        expect(first.scrollTop()).toBe(90);
+        expect(second.scrollTop()).toBe(90);
+        expect(firstHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not pass the position on after the link was removed', () => {
+        const first = createInstance(300, 300);
+        const second = createInstance(300, 300);
+        const unlink = PocScrollbar.link(first, second);
+
+        unlink();
+        first.scrollTop(50);
+        second.scrollTop(20);
+
+        expect(second.scrollTop()).toBe(20);
+        expect(first.scrollTop()).toBe(50);
+    });
+});
@@ -0,0 +1,129 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Near edge callbacks', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let onNearEnd = null;
+    let onNearStart = null;
+
+    const createInstance = (aThreshold) => {
+        if (instance) {
+            instance.destroy();
+        }
+
+        instance = new PocScrollbar(parent, {
+            onNearEnd,
+            onNearStart,
+            nearEdgeThreshold: aThreshold
+        });
+    };
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+        onNearEnd = jasmine.createSpy('onNearEnd');
+        onNearStart = jasmine.createSpy('onNearStart');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '1000px';
+        child.style.width = '400px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should call onNearEnd once when scrolling into the threshold', () => {
+        createInstance(100);
+
+        instance.scrollTop(750);
+        expect(onNearEnd).not.toHaveBeenCalled();
+
+        instance.scrollTop(820);
+        expect(onNearEnd).toHaveBeenCalledTimes(1);
+        expect(onNearEnd).toHaveBeenCalledWith({ axis: 'y', distance: 80 });
+
+        instance.scrollTop(900);
+        expect(onNearEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-arm onNearEnd only after the content has grown', () => {
+        createInstance(100);
+
+        instance.scrollTop(850);
+        instance.scrollTop(700);
+        instance.scrollTop(850);
+        expect(onNearEnd).toHaveBeenCalledTimes(1);
+
+        child.style.height = '1500px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        instance.scrollTop(1350);
+        expect(onNearEnd).toHaveBeenCalledTimes(2);
+        expect(onNearEnd.calls.mostRecent().args[0]).toEqual({ axis: 'y', distance: 50 });
+    });
+
+    it('should support a percentage of the visible size as threshold', () => {
+        createInstance('50%');
+
+        instance.scrollTop(840);
+        expect(onNearEnd).not.toHaveBeenCalled();
+
+        instance.scrollTop(860);
+        expect(onNearEnd).toHaveBeenCalledWith({ axis: 'y', distance: 40 });
+    });
+
+    it('should call the callbacks for the x direction as well', () => {
+        createInstance(50);
+
+        instance.scrollLeft(260);
+        expect(onNearEnd).toHaveBeenCalledWith({ axis: 'x', distance: 40 });
+
+        instance.scrollLeft(30);
+        expect(onNearStart).toHaveBeenCalledWith({ axis: 'x', distance: 30 });
+    });
+
+    it('should call onNearStart only when moving towards the start', () => {
+        createInstance(100);
+
+        instance.scrollTop(50);
+        expect(onNearStart).not.toHaveBeenCalled();
+
+        instance.scrollTop(500);
+        instance.scrollTop(80);
+        expect(onNearStart).toHaveBeenCalledTimes(1);
+        expect(onNearStart).toHaveBeenCalledWith({ axis: 'y', distance: 80 });
+
+        instance.scrollTop(500);
+        instance.scrollTop(0);
+        expect(onNearStart).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use a threshold of 200 pixels by default', () => {
+        createInstance(undefined);
+
+        instance.scrollTop(690);
+        expect(onNearEnd).not.toHaveBeenCalled();
+
+        instance.scrollTop(710);
+        expect(onNearEnd).toHaveBeenCalledTimes(1);
+    });
+});
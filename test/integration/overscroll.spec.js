@@ -0,0 +1,168 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame, getPendingFrameCount, getPosition } from '../helper';
+
+describe('Overscroll', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let verticalScrollbar = null;
+
+    const createTouchEvent = (aType, aClientY) => new TouchEvent(aType, {
+        touches: [
+            new Touch({
+                identifier: 0,
+                target: parent,
+                clientX: 0,
+                clientY: aClientY
+            })
+        ],
+        changedTouches: [
+            new Touch({
+                identifier: 0,
+                target: parent,
+                clientX: 0,
+                clientY: aClientY
+            })
+        ]
+    });
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '100px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            overscroll: true,
+            touchMomentum: false
+        });
+
+        verticalScrollbar = parent.querySelector('.scrollbar.vertical');
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should move the content and shrink the scrollbar when scrolling past the bottom', () => {
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 150
+        }));
+
+        runFrame(0);
+
+        expect(parent.scrollTop).toBe(100);
+        expect(child.style.transform).toMatch(/^translate\(0px, -\d+(\.\d+)?px\)$/);
+        expect(parseFloat(verticalScrollbar.style.height)).toBeLessThan(50);
+        expect(getPosition(verticalScrollbar).y + parseFloat(verticalScrollbar.style.height)).toBeCloseTo(200, 1);
+    });
+
+    it('should bounce back after the wheel stopped', () => {
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 150
+        }));
+        jasmine.clock().tick(101);
+
+        for (let i = 0; i < 100 && getPendingFrameCount() > 0; i += 1) {
+            runFrame(i * 16);
+        }
+
+        expect(parent.scrollTop).toBe(100);
+        expect(child.style.transform).toBe('');
+        expect(verticalScrollbar.style.height).toBe('50px');
+    });
+
+    it('should keep the own transform of the content and restore it after bouncing back', () => {
+        child.style.transform = 'rotate(0deg)';
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 150
+        }));
+
+        runFrame(0);
+
+        expect(child.style.transform).toMatch(/^translate\(0px, -\d+(\.\d+)?px\) rotate\(0deg\)$/);
+
+        jasmine.clock().tick(101);
+        for (let i = 0; i < 100 && getPendingFrameCount() > 0; i += 1) {
+            runFrame(i * 16);
+        }
+
+        expect(child.style.transform).toBe('rotate(0deg)');
+    });
+
+    it('should restore the own transform of the content on destroy', () => {
+        child.style.transform = 'rotate(0deg)';
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 150
+        }));
+        runFrame(0);
+        instance.destroy();
+        instance = null;
+
+        expect(child.style.transform).toBe('rotate(0deg)');
+    });
+
+    it('should reduce the overscroll before scrolling back', () => {
+        parent.dispatchEvent(createTouchEvent('touchstart', 50));
+        document.body.dispatchEvent(createTouchEvent('touchmove', 90));
+
+        expect(parent.scrollTop).toBe(0);
+        expect(child.style.transform).toMatch(/^translate\(0px, \d+(\.\d+)?px\)$/);
+
+        document.body.dispatchEvent(createTouchEvent('touchmove', 40));
+
+        expect(parent.scrollTop).toBe(10);
+        expect(child.style.transform).toBe('');
+
+        document.body.dispatchEvent(createTouchEvent('touchend', 40));
+    });
+
+    it('should not overscroll if the option is not set', () => {
+        instance.destroy();
+        instance = new PocScrollbar(parent, {});
+
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 150
+        }));
+
+        expect(parent.scrollTop).toBe(100);
+        expect(child.style.transform).toBe('');
+    });
+
+    it('should not overscroll in a direction disabled by the option', () => {
+        instance.destroy();
+        instance = new PocScrollbar(parent, {
+            overscroll: { x: true, y: false }
+        });
+
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: -50
+        }));
+
+        expect(child.style.transform).toBe('');
+    });
+});
@@ -0,0 +1,108 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('ResizeObserver change detection', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    // resize observers notify after the layout of the next frame, so we wait two frames to be safe
+    function waitForObservers(aCallback) {
+        window.requestAnimationFrame(() => window.requestAnimationFrame(() => setTimeout(aCallback, 0)));
+    }
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '100px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        spyOn(window, 'setInterval').and.callThrough();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            useResizeObserver: true
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+    });
+
+    it('should not start a check interval', () => {
+        expect(window.setInterval).not.toHaveBeenCalled();
+    });
+
+    it('should update the scrollbars when the content resizes', (done) => {
+        const handler = jasmine.createSpy('handler');
+
+        waitForObservers(() => {
+            instance.on('resize', handler);
+            child.style.height = '400px';
+
+            waitForObservers(() => {
+                expect(handler).toHaveBeenCalledTimes(1);
+                expect(parent.querySelector('.vertical').style.height).toBe('25px');
+                done();
+            });
+        });
+    });
+
+    it('should update the scrollbars when the container resizes', (done) => {
+        const handler = jasmine.createSpy('handler');
+
+        waitForObservers(() => {
+            instance.on('resize', handler);
+            parent.style.height = '50px';
+
+            waitForObservers(() => {
+                expect(handler).toHaveBeenCalledTimes(1);
+                done();
+            });
+        });
+    });
+
+    it('should update the scrollbars when content gets added', (done) => {
+        const handler = jasmine.createSpy('handler');
+        const newChild = document.createElement('div');
+
+        newChild.style.height = '200px';
+
+        waitForObservers(() => {
+            instance.on('resize', handler);
+            parent.appendChild(newChild);
+
+            waitForObservers(() => {
+                expect(handler).toHaveBeenCalled();
+                expect(parent.querySelector('.vertical').style.height).toBe('25px');
+                done();
+            });
+        });
+    });
+
+    it('should not notify without changes', (done) => {
+        const handler = jasmine.createSpy('handler');
+
+        waitForObservers(() => {
+            instance.on('resize', handler);
+            child.setAttribute('data-test', 'changed');
+
+            waitForObservers(() => {
+                expect(handler).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Right-to-left containers', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let verticalScrollbar = null;
+    let horizontalScrollbar = null;
+
+    // the position of given element relative to the visible area of the parent
+    const getVisibleLeft = aElement => aElement.getBoundingClientRect().left - parent.getBoundingClientRect().left;
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.dir = 'rtl';
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '300px';
+        child.style.width = '300px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+
+        verticalScrollbar = parent.querySelector('.scrollbar.vertical');
+        horizontalScrollbar = parent.querySelector('.scrollbar.horizontal');
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should start at the right edge, counted from the left', () => {
+        expect(instance.scrollLeft()).toBe(200);
+        expect(horizontalScrollbar.getAttribute('aria-valuenow')).toBe('200');
+        expect(getVisibleLeft(child)).toBe(-200);
+    });
+
+    it('should keep the position, when the changes get checked', () => {
+        const scrollHandler = jasmine.createSpy('scrollHandler');
+
+        instance.on('scroll', scrollHandler);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(instance.scrollLeft()).toBe(200);
+        expect(scrollHandler).not.toHaveBeenCalled();
+    });
+
+    it('should scroll and clamp the position like left-to-right containers', () => {
+        instance.scrollLeft(50);
+
+        expect(getVisibleLeft(child)).toBe(-50);
+
+        expect(instance.scrollLeft(-20)).toBe(0);
+        expect(getVisibleLeft(child)).toBe(0);
+
+        expect(instance.scrollLeft(500)).toBe(200);
+        expect(getVisibleLeft(child)).toBe(-200);
+    });
+
+    it('should move the horizontal scrollbar in the direction of the content', () => {
+        // the scrollbar is 100 * 100 / 300 wide, and at the end of the range
+        expect(getVisibleLeft(horizontalScrollbar)).toBeCloseTo(100 - (100 / 3), 1);
+
+        instance.scrollLeft(0);
+        runFrame();
+
+        expect(getVisibleLeft(horizontalScrollbar)).toBeCloseTo(0, 1);
+    });
+
+    it('should place the vertical scrollbar at the left side', () => {
+        expect(getVisibleLeft(verticalScrollbar)).toBe(0);
+
+        instance.scrollLeft(100);
+        runFrame();
+
+        expect(getVisibleLeft(verticalScrollbar)).toBe(0);
+    });
+
+    it('should scroll to the left with a negative wheel delta', () => {
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: -25,
+            deltaY: 0
+        }));
+
+        expect(instance.scrollLeft()).toBe(175);
+        expect(getVisibleLeft(child)).toBe(-175);
+    });
+
+    it('should keep the start visible, when the content shrinks', () => {
+        child.style.width = '150px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(instance.scrollLeft()).toBe(50);
+        expect(horizontalScrollbar.getAttribute('aria-valuemax')).toBe('50');
+        expect(getVisibleLeft(child)).toBe(-50);
+    });
+
+    it('should scroll elements into view', () => {
+        const element = document.createElement('div');
+
+        // the element is at the left end of the content
+        element.style.width = '50px';
+        element.style.height = '10px';
+        element.style.marginRight = '250px';
+        child.appendChild(element);
+
+        instance.scrollIntoView(element);
+
+        expect(instance.scrollLeft()).toBe(0);
+        expect(getVisibleLeft(element)).toBe(0);
+    });
+});
@@ -0,0 +1,138 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Scroll anchoring', () => {
+    let instance = null;
+    let parent = null;
+
+    const createItem = (aHeight) => {
+        const item = document.createElement('div');
+
+        item.style.height = `${aHeight}px`;
+        item.style.width = '100px';
+
+        return item;
+    };
+
+    const createInstance = (aOptions) => {
+        instance = new PocScrollbar(parent, Object.assign({
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        }, aOptions));
+    };
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        for (let i = 0; i < 10; i += 1) {
+            parent.appendChild(createItem(50));
+        }
+
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should keep the visible content in place, when an item gets inserted above', () => {
+        createInstance({ scrollAnchoring: true });
+        instance.scrollTop(200);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        parent.insertBefore(createItem(30), parent.firstChild);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(230);
+        expect(parent.querySelector('.scrollbar.vertical').getAttribute('aria-valuenow')).toBe('230');
+    });
+
+    it('should keep the visible content in place, when an item above grows or shrinks', () => {
+        createInstance({ scrollAnchoring: true });
+        instance.scrollTop(200);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        parent.children[1].style.height = '100px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(250);
+
+        parent.children[1].style.height = '20px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(170);
+    });
+
+    it('should not adjust the scroll position for changes below the visible content', () => {
+        createInstance({ scrollAnchoring: true });
+        instance.scrollTop(200);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        parent.appendChild(createItem(50));
+        parent.children[8].style.height = '100px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(200);
+    });
+
+    it('should not adjust the scroll position at the start of the content', () => {
+        createInstance({ scrollAnchoring: true });
+
+        parent.insertBefore(createItem(30), parent.firstChild);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(0);
+    });
+
+    it('should use the new anchor after scrolling', () => {
+        createInstance({ scrollAnchoring: true });
+        instance.scrollTop(100);
+        jasmine.clock().tick(301);
+        runFrame();
+        instance.scrollTop(300);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        // the item is above the current anchor, but was below the first one
+        parent.children[4].style.height = '80px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(330);
+    });
+
+    it('should not adjust the scroll position without the option', () => {
+        // the native scroll anchoring of the browser must not hide the missing adjustment
+        parent.style.overflowAnchor = 'none';
+        createInstance();
+        instance.scrollTop(200);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        parent.insertBefore(createItem(30), parent.firstChild);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(200);
+    });
+});
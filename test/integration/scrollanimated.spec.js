@@ -0,0 +1,106 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Scroll animated', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+    });
+
+    it('should animate to the target with scrollTo', (done) => {
+        instance.scrollTo({ top: 100, left: 50 }, { duration: 100, easing: 'linear' }).then((aCompleted) => {
+            expect(aCompleted).toBe(true);
+            expect(parent.scrollTop).toBe(100);
+            expect(parent.scrollLeft).toBe(50);
+            done();
+        });
+
+        runFrame(1000);
+        runFrame(1050);
+
+        expect(parent.scrollTop).toBe(50);
+        expect(parent.scrollLeft).toBe(25);
+
+        runFrame(1100);
+    });
+
+    it('should clamp the target of scrollTo', (done) => {
+        instance.scrollTo({ top: 500 }, { duration: 100, easing: 'linear' }).then(() => {
+            expect(parent.scrollTop).toBe(100);
+            done();
+        });
+
+        runFrame(1000);
+        runFrame(1050);
+
+        expect(parent.scrollTop).toBe(50);
+
+        runFrame(1100);
+    });
+
+    it('should animate relative to the current position with scrollBy', (done) => {
+        instance.scrollTop(20);
+        instance.scrollBy({ top: 40 }, { duration: 100 }).then(() => {
+            expect(parent.scrollTop).toBe(60);
+            expect(parent.scrollLeft).toBe(0);
+            done();
+        });
+
+        runFrame(1000);
+        runFrame(1100);
+    });
+
+    it('should jump directly if the duration is 0', (done) => {
+        instance.scrollTo({ top: 30 }, { duration: 0 }).then((aCompleted) => {
+            expect(aCompleted).toBe(true);
+            done();
+        });
+
+        expect(parent.scrollTop).toBe(30);
+    });
+
+    it('should stop the animation on user input', (done) => {
+        instance.scrollTo({ top: 100 }, { duration: 100, easing: 'linear' }).then((aCompleted) => {
+            expect(aCompleted).toBe(false);
+            expect(parent.scrollTop).toBe(60);
+            done();
+        });
+
+        runFrame(1000);
+        runFrame(1050);
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 10
+        }));
+        runFrame(1100);
+    });
+});
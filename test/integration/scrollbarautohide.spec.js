@@ -0,0 +1,157 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Auto hiding scrollbars', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    function isVisible(aElement) {
+        return aElement.classList.contains('poc-scrollbar-visible') &&
+            !aElement.classList.contains('poc-scrollbar-hidden');
+    }
+
+    function movePointer(aX, aY) {
+        const rect = parent.getBoundingClientRect();
+
+        parent.dispatchEvent(new MouseEvent('mousemove', {
+            clientX: rect.left + aX,
+            clientY: rect.top + aY
+        }));
+    }
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            autoHide: true,
+            autoHideDelay: 500
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should hide the scrollbars initially', () => {
+        expect(parent.querySelector('.horizontal').classList.contains('poc-scrollbar-hidden')).toBe(true);
+        expect(parent.querySelector('.vertical').classList.contains('poc-scrollbar-hidden')).toBe(true);
+    });
+
+    it('should reveal the scrollbars on scroll and hide them after the delay', () => {
+        instance.scrollTop(20);
+
+        expect(isVisible(parent.querySelector('.horizontal'))).toBe(true);
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(true);
+
+        jasmine.clock().tick(400);
+        instance.scrollTop(40);
+        jasmine.clock().tick(400);
+
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(true);
+
+        jasmine.clock().tick(101);
+
+        expect(isVisible(parent.querySelector('.horizontal'))).toBe(false);
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(false);
+    });
+
+    it('should reveal the scrollbars on scroll, after the handlers of the user got removed', () => {
+        instance.off('scroll');
+        instance.scrollTop(20);
+
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(true);
+    });
+
+    it('should reveal only the scrollbar, whose edge is hovered, and keep it visible', () => {
+        movePointer(95, 50);
+
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(true);
+        expect(isVisible(parent.querySelector('.horizontal'))).toBe(false);
+
+        jasmine.clock().tick(501);
+
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(true);
+
+        parent.dispatchEvent(new MouseEvent('mouseleave'));
+        jasmine.clock().tick(501);
+
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(false);
+    });
+
+    it('should reveal the vertical scrollbar at the left edge of right-to-left containers', () => {
+        instance.destroy();
+        parent.style.direction = 'rtl';
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            autoHide: true,
+            autoHideDelay: 500
+        });
+
+        movePointer(95, 50);
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(false);
+
+        movePointer(5, 50);
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(true);
+    });
+
+    it('should not reveal the scrollbars when hovering the middle of the container', () => {
+        movePointer(50, 50);
+
+        expect(isVisible(parent.querySelector('.horizontal'))).toBe(false);
+        expect(isVisible(parent.querySelector('.vertical'))).toBe(false);
+    });
+
+    it('should keep the scrollbars visible while dragging them', () => {
+        const scrollbar = parent.querySelector('.vertical');
+        const createPointerEvent = (aType, aClientY) => new window.PointerEvent(aType, {
+            pointerId: 1,
+            pointerType: 'mouse',
+            clientY: aClientY
+        });
+
+        scrollbar.dispatchEvent(createPointerEvent('pointerdown', 10));
+        scrollbar.dispatchEvent(createPointerEvent('pointermove', 20));
+        jasmine.clock().tick(1000);
+
+        expect(isVisible(scrollbar)).toBe(true);
+
+        scrollbar.dispatchEvent(createPointerEvent('pointerup', 20));
+        jasmine.clock().tick(501);
+
+        expect(isVisible(scrollbar)).toBe(false);
+    });
+
+    it('should leave the classes untouched without the autoHide option', () => {
+        instance.destroy();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+
+        instance.scrollTop(20);
+
+        expect(parent.querySelector('.vertical').classList.contains('poc-scrollbar-visible')).toBe(false);
+        expect(parent.querySelector('.vertical').classList.contains('poc-scrollbar-hidden')).toBe(false);
+    });
+});
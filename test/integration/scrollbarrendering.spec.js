@@ -0,0 +1,110 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Scrollbar rendering', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let verticalScrollbar = null;
+
+    const dispatchWheel = aDeltaY => parent.dispatchEvent(new WheelEvent('wheel', {
+        deltaX: 0,
+        deltaY: aDeltaY
+    }));
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '100px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+
+        verticalScrollbar = parent.querySelector('.scrollbar.vertical');
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should position the scrollbars with transforms', () => {
+        expect(verticalScrollbar.style.top).toBe('0px');
+        expect(verticalScrollbar.style.left).toBe('0px');
+        expect(verticalScrollbar.style.transform).toBe('translate3d(100px, 0px, 0px)');
+    });
+
+    it('should move the scrollbars once per animation frame', () => {
+        dispatchWheel(10);
+        dispatchWheel(20);
+        dispatchWheel(30);
+
+        expect(parent.scrollTop).toBe(60);
+        expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1);
+        expect(verticalScrollbar.style.transform).toBe('translate3d(100px, 0px, 0px)');
+        // the aria value is no style, so it doesn't wait for the frame
+        expect(verticalScrollbar.getAttribute('aria-valuenow')).toBe('60');
+
+        runFrame();
+
+        // 60 is scrolled away, and 60/200 = 30/100 in viewport
+        expect(verticalScrollbar.style.transform).toBe('translate3d(100px, 90px, 0px)');
+    });
+
+    it('should move the scrollbars immediately, when the content has changed', () => {
+        instance.scrollTop(100);
+        child.style.height = '400px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        // 100 is scrolled away, and 100/400 = 25/100 in viewport
+        expect(verticalScrollbar.style.transform).toBe('translate3d(100px, 125px, 0px)');
+    });
+
+    it('should have the scrollbars back in place right after a check without changes', () => {
+        instance.scrollTop(50);
+        runFrame();
+        jasmine.clock().tick(301);
+        runFrame();
+
+        // 50 is scrolled away, and 50/200 = 25/100 in viewport
+        expect(verticalScrollbar.style.transform).toBe('translate3d(100px, 75px, 0px)');
+    });
+
+    it('should not touch the aria value of the scrollbars during a check', () => {
+        instance.scrollTop(50);
+        runFrame();
+        spyOn(verticalScrollbar, 'setAttribute').and.callThrough();
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(verticalScrollbar.setAttribute).not.toHaveBeenCalled();
+        expect(verticalScrollbar.getAttribute('aria-valuenow')).toBe('50');
+    });
+
+    it('should cancel a requested frame on destroy', () => {
+        dispatchWheel(10);
+        instance.destroy();
+        instance = null;
+
+        expect(window.cancelAnimationFrame).toHaveBeenCalledWith(1);
+    });
+});
@@ -84,4 +84,80 @@ describe('Scrollbar Setup', () => {
 
         expect(parent.querySelector('.scrollbar.vertical')).toBeNull();
     });
-});
\ No newline at end of file
+
+    it('should describe the scrollbars for assistive technologies', () => {
+        expect(parent.id).toMatch(/^poc-scrollbar-\d+$/);
+        expect(verticalScrollbar.getAttribute('role')).toBe('scrollbar');
+        expect(verticalScrollbar.getAttribute('aria-controls')).toBe(parent.id);
+        expect(verticalScrollbar.getAttribute('aria-orientation')).toBe('vertical');
+        expect(verticalScrollbar.getAttribute('aria-valuemin')).toBe('0');
+        expect(verticalScrollbar.getAttribute('aria-valuemax')).toBe('100');
+        expect(verticalScrollbar.getAttribute('aria-valuenow')).toBe('0');
+        expect(horizontalScrollbar.getAttribute('aria-orientation')).toBe('horizontal');
+    });
+
+    it('should update aria-valuenow when scrolling', () => {
+        instance.scrollTop(30);
+
+        expect(verticalScrollbar.getAttribute('aria-valuenow')).toBe('30');
+    });
+
+    it('should keep an existing id and remove a generated id on destroy', () => {
+        instance.destroy();
+        instance = null;
+
+        expect(parent.hasAttribute('id')).toBe(false);
+
+        parent.id = 'my-container';
+        instance = new PocScrollbar(parent, {
+            yElementClass: ['scrollbar', 'vertical']
+        });
+
+        expect(parent.querySelector('.scrollbar.vertical').getAttribute('aria-controls')).toBe('my-container');
+    });
+
+    it('should not make the scrollbars focusable by default', () => {
+        expect(verticalScrollbar.hasAttribute('tabindex')).toBe(false);
+    });
+
+    it('should scroll with the keyboard on focusable scrollbars in their direction only', () => {
+        instance.destroy();
+        instance = new PocScrollbar(parent, {
+            yElementClass: ['scrollbar', 'vertical'],
+            focusableScrollbars: true
+        });
+        verticalScrollbar = parent.querySelector('.scrollbar.vertical');
+
+        verticalScrollbar.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'End',
+            bubbles: true,
+            cancelable: true
+        }));
+
+        expect(verticalScrollbar.getAttribute('tabindex')).toBe('0');
+        expect(parent.scrollTop).toBe(100);
+        expect(verticalScrollbar.getAttribute('aria-valuenow')).toBe('100');
+    });
+
+    it('should not scroll the container with the keys of the other direction on focusable scrollbars', () => {
+        instance.destroy();
+        child.style.width = '200px';
+        instance = new PocScrollbar(parent, {
+            yElementClass: ['scrollbar', 'vertical'],
+            focusableScrollbars: true
+        });
+        verticalScrollbar = parent.querySelector('.scrollbar.vertical');
+
+        const event = new KeyboardEvent('keydown', {
+            key: 'ArrowRight',
+            bubbles: true,
+            cancelable: true
+        });
+
+        verticalScrollbar.dispatchEvent(event);
+
+        expect(parent.scrollLeft).toBe(0);
+        expect(parent.scrollTop).toBe(0);
+        expect(event.defaultPrevented).toBe(false);
+    });
+});
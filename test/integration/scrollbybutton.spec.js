@@ -0,0 +1,134 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame, getPosition } from '../helper';
+
+describe('Scroll by button', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let verticalScrollbar = null;
+    let upButton = null;
+    let downButton = null;
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '500px';
+        child.style.width = '100px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            showButtons: true,
+            yUpButtonClass: 'up-button',
+            yDownButtonClass: 'down-button',
+            yUpButtonStyles: { width: '10px', height: '10px' },
+            yDownButtonStyles: { width: '10px', height: '10px' }
+        });
+
+        verticalScrollbar = parent.querySelector('.scrollbar.vertical');
+        upButton = parent.querySelector('.up-button');
+        downButton = parent.querySelector('.down-button');
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should place the buttons at the ends of the scrollbar', () => {
+        expect(upButton.style.display).toBe('block');
+        expect(getPosition(upButton).y).toBe(0);
+        expect(getPosition(downButton).y).toBe(90);
+    });
+
+    it('should move the scrollbar between the buttons', () => {
+        // the range is 80px, so the scrollbar is 80 * 100 / 500 = 16px high
+        expect(verticalScrollbar.style.height).toBe('16px');
+        expect(getPosition(verticalScrollbar).y).toBe(10);
+
+        instance.scrollTop(400);
+        runFrame();
+
+        expect(getPosition(verticalScrollbar).y).toBe(400 + 10 + 64);
+        expect(getPosition(downButton).y).toBe(490);
+    });
+
+    it('should drag the scrollbar with the range of the buttons in mind', () => {
+        verticalScrollbar.dispatchEvent(new window.PointerEvent('pointerdown', {
+            pointerId: 1,
+            pointerType: 'mouse',
+            clientX: 0,
+            clientY: 10
+        }));
+        verticalScrollbar.dispatchEvent(new window.PointerEvent('pointermove', {
+            pointerId: 1,
+            pointerType: 'mouse',
+            clientX: 0,
+            clientY: 42
+        }));
+        verticalScrollbar.dispatchEvent(new window.PointerEvent('pointerup', {
+            pointerId: 1,
+            pointerType: 'mouse',
+            clientX: 0,
+            clientY: 42
+        }));
+
+        // 32px of the 64px range is half of the scrollable 400px
+        expect(parent.scrollTop).toBe(200);
+    });
+
+    it('should scroll by one line and repeat while the button is held', () => {
+        downButton.dispatchEvent(new MouseEvent('mousedown'));
+        const lineHeight = parent.scrollTop;
+
+        expect(lineHeight).toBeGreaterThan(0);
+
+        jasmine.clock().tick(351);
+        document.body.dispatchEvent(new MouseEvent('mouseup'));
+        jasmine.clock().tick(500);
+
+        expect(parent.scrollTop).toBe(lineHeight * 3);
+
+        upButton.dispatchEvent(new MouseEvent('mousedown'));
+        document.body.dispatchEvent(new MouseEvent('mouseup'));
+
+        expect(parent.scrollTop).toBe(lineHeight * 2);
+    });
+
+    it('should stop repeating, when the scrollbars get set up again while the button is held', () => {
+        downButton.dispatchEvent(new MouseEvent('mousedown'));
+        const lineHeight = parent.scrollTop;
+
+        instance.setOptions({ showButtons: false });
+
+        expect(() => {
+            jasmine.clock().tick(500);
+            document.body.dispatchEvent(new MouseEvent('mouseup'));
+        }).not.toThrow();
+        expect(parent.scrollTop).toBe(lineHeight);
+    });
+
+    it('should hide the buttons if the scrollbar is hidden', () => {
+        child.style.height = '50px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(upButton.style.display).toBe('none');
+        expect(downButton.style.display).toBe('none');
+    });
+});
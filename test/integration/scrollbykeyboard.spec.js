@@ -0,0 +1,193 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Scroll by keyboard', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    const pressKey = (aTarget, aKey, aShiftKey = false) => {
+        const event = new KeyboardEvent('keydown', {
+            key: aKey,
+            shiftKey: aShiftKey,
+            bubbles: true,
+            cancelable: true
+        });
+
+        aTarget.dispatchEvent(event);
+
+        return event;
+    };
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '500px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+    });
+
+    it('should make the container focusable', () => {
+        expect(parent.getAttribute('tabindex')).toBe('0');
+    });
+
+    it('should not make the container focusable if its content can get the focus', () => {
+        const link = document.createElement('a');
+
+        link.href = '#';
+        instance.destroy();
+        child.appendChild(link);
+        instance = new PocScrollbar(parent);
+
+        expect(parent.hasAttribute('tabindex')).toBe(false);
+
+        link.focus();
+        pressKey(link, 'PageDown');
+        expect(parent.scrollTop).toBe(100);
+    });
+
+    it('should scroll with the keys, that a focused button doesn\'t handle by itself', () => {
+        const button = document.createElement('button');
+
+        instance.destroy();
+        child.appendChild(button);
+        instance = new PocScrollbar(parent);
+
+        expect(parent.hasAttribute('tabindex')).toBe(false);
+
+        button.focus();
+        pressKey(button, 'PageDown');
+        expect(parent.scrollTop).toBe(100);
+
+        pressKey(button, ' ');
+        expect(parent.scrollTop).toBe(100);
+    });
+
+    it('should make the container focusable, if its content can\'t be reached with the tab key', () => {
+        const link = document.createElement('a');
+
+        link.href = '#';
+        link.tabIndex = -1;
+        instance.destroy();
+        child.appendChild(link);
+        instance = new PocScrollbar(parent);
+
+        expect(parent.getAttribute('tabindex')).toBe('0');
+    });
+
+    it('should check the focusable content again after it has changed', () => {
+        const link = document.createElement('a');
+
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance.destroy();
+        instance = new PocScrollbar(parent);
+
+        link.href = '#';
+        link.style.display = 'block';
+        link.style.height = '100px';
+        parent.appendChild(link);
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.hasAttribute('tabindex')).toBe(false);
+
+        instance.destroy();
+        instance = null;
+        jasmine.clock().uninstall();
+    });
+
+    it('should scroll by one page with PageDown and PageUp', () => {
+        pressKey(parent, 'PageDown');
+        expect(parent.scrollTop).toBe(100);
+
+        pressKey(parent, 'PageUp');
+        expect(parent.scrollTop).toBe(0);
+    });
+
+    it('should scroll by one page with space and back with shift and space', () => {
+        pressKey(child, ' ');
+        pressKey(child, ' ');
+        expect(parent.scrollTop).toBe(200);
+
+        pressKey(child, ' ', true);
+        expect(parent.scrollTop).toBe(100);
+    });
+
+    it('should scroll by lines with the arrow keys', () => {
+        pressKey(parent, 'ArrowDown');
+        pressKey(parent, 'ArrowRight');
+        const lineHeight = parent.scrollTop;
+
+        expect(lineHeight).toBeGreaterThan(0);
+        expect(parent.scrollLeft).toBe(lineHeight);
+
+        pressKey(parent, 'ArrowUp');
+        pressKey(parent, 'ArrowLeft');
+        expect(parent.scrollTop).toBe(0);
+        expect(parent.scrollLeft).toBe(0);
+    });
+
+    it('should scroll to the edges with End and Home', () => {
+        pressKey(parent, 'End');
+        expect(parent.scrollTop).toBe(400);
+
+        pressKey(parent, 'Home');
+        expect(parent.scrollTop).toBe(0);
+    });
+
+    it('should prevent the default only if something changed', () => {
+        expect(pressKey(parent, 'PageDown').defaultPrevented).toBe(true);
+        expect(pressKey(parent, 'Home').defaultPrevented).toBe(true);
+        expect(pressKey(parent, 'Home').defaultPrevented).toBe(false);
+    });
+
+    it('should ignore keys meant for inputs', () => {
+        const input = document.createElement('input');
+        child.appendChild(input);
+
+        pressKey(input, 'PageDown');
+        expect(parent.scrollTop).toBe(0);
+    });
+
+    it('should ignore keys with modifiers', () => {
+        parent.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'PageDown',
+            ctrlKey: true
+        }));
+
+        expect(parent.scrollTop).toBe(0);
+    });
+
+    it('should not scroll if disableKeyboardScrolling is true', () => {
+        instance.destroy();
+        instance = new PocScrollbar(parent, {
+            disableKeyboardScrolling: true
+        });
+
+        pressKey(parent, 'PageDown');
+        expect(parent.scrollTop).toBe(0);
+        expect(parent.hasAttribute('tabindex')).toBe(false);
+    });
+});
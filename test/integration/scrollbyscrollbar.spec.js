@@ -1,6 +1,32 @@
 import PocScrollbar from '../../src/pocscrollbar';
 
 describe('Scroll by scrollbar', () => {
+    const pointerIds = { mouse: 1, pen: 2, touch: 3 };
+
+    function createPointerEvent(aType, aPointerType, aClientX, aClientY, aPointerId = pointerIds[aPointerType]) {
+        return new window.PointerEvent(aType, {
+            bubbles: true,
+            cancelable: true,
+            pointerId: aPointerId,
+            pointerType: aPointerType,
+            isPrimary: true,
+            button: aType === 'pointermove' ? -1 : 0,
+            clientX: aClientX,
+            clientY: aClientY
+        });
+    }
+
+    // the pointer gets captured by the scrollbar, so all events of the drag get targeted to it
+    function drag(aElement, aPointerType, aPositions) {
+        const lastPosition = aPositions[aPositions.length - 1];
+
+        aElement.dispatchEvent(createPointerEvent('pointerdown', aPointerType, aPositions[0][0], aPositions[0][1]));
+        aPositions.slice(1).forEach((aPosition) => {
+            aElement.dispatchEvent(createPointerEvent('pointermove', aPointerType, aPosition[0], aPosition[1]));
+        });
+        aElement.dispatchEvent(createPointerEvent('pointerup', aPointerType, lastPosition[0], lastPosition[1]));
+    }
+
     [true, false].forEach((canScroll) => {
         describe(`is ${canScroll ? '' : 'not'} allowed`, () => {
             let instance = null;
@@ -42,129 +68,89 @@ describe('Scroll by scrollbar', () => {
                 }
             });
 
-            it('should scroll vertically if the vertical scrollbar is moved with the mouse', () => {
-                const startEvent = new MouseEvent('mousedown', {
-                    clientX: 0,
-                    clientY: 10
+            ['mouse', 'pen', 'touch'].forEach((pointerType) => {
+                it(`should scroll vertically if the vertical scrollbar is moved with the ${pointerType}`, () => {
+                    drag(verticalScrollbar, pointerType, [[0, 10], [10, 35]]);
+
+                    expect(parent.scrollTop).toBe(canScroll ? 50 : 0);
+                    expect(parent.scrollLeft).toBe(0);
                 });
-                const moveEvent = new MouseEvent('mousemove', {
-                    clientX: 10,
-                    clientY: 35
+
+                it(`should scroll horizontally if the horizontal scrollbar is moved with the ${pointerType}`, () => {
+                    drag(horizontalScrollbar, pointerType, [[10, 0], [35, 10]]);
+
+                    expect(parent.scrollTop).toBe(0);
+                    expect(parent.scrollLeft).toBe(canScroll ? 50 : 0);
                 });
-                const stopEvent = new MouseEvent('mouseup', {
-                    clientX: 10,
-                    clientY: 35
+
+                it(`should use the same distances over multiple moves with the ${pointerType}`, () => {
+                    drag(verticalScrollbar, pointerType, [[0, 10], [0, 20], [0, 30], [0, 35]]);
+
+                    expect(parent.scrollTop).toBe(canScroll ? 50 : 0);
                 });
+            });
 
-                verticalScrollbar.dispatchEvent(startEvent);
-                document.body.dispatchEvent(moveEvent);
-                document.body.dispatchEvent(stopEvent);
+            it('should not pan the container with the touches of a scrollbar drag', () => {
+                const createTouchEvent = (aType, aClientY) => {
+                    const touch = new Touch({
+                        identifier: 0,
+                        target: verticalScrollbar,
+                        clientX: 0,
+                        clientY: aClientY
+                    });
+
+                    return new TouchEvent(aType, {
+                        bubbles: true,
+                        cancelable: true,
+                        touches: aType === 'touchend' ? [] : [touch],
+                        changedTouches: [touch]
+                    });
+                };
+
+                // the browser fires the touch events alongside the pointer events of the drag
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerdown', 'touch', 0, 10));
+                verticalScrollbar.dispatchEvent(createTouchEvent('touchstart', 10));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointermove', 'touch', 0, 35));
+                verticalScrollbar.dispatchEvent(createTouchEvent('touchmove', 35));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerup', 'touch', 0, 35));
+                verticalScrollbar.dispatchEvent(createTouchEvent('touchend', 35));
 
                 expect(parent.scrollTop).toBe(canScroll ? 50 : 0);
-                expect(parent.scrollLeft).toBe(0);
             });
 
-            it('should scroll horizontally if the horizontal scrollbar is moved with the mouse', () => {
-                const startEvent = new MouseEvent('mousedown', {
-                    clientX: 10,
-                    clientY: 0
-                });
-                const moveEvent = new MouseEvent('mousemove', {
-                    clientX: 35,
-                    clientY: 10
-                });
-                const stopEvent = new MouseEvent('mouseup', {
-                    clientX: 35,
-                    clientY: 10
-                });
-
-                horizontalScrollbar.dispatchEvent(startEvent);
-                document.body.dispatchEvent(moveEvent);
-                document.body.dispatchEvent(stopEvent);
+            it('should ignore other pointers while dragging', () => {
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerdown', 'touch', 0, 10, 5));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointermove', 'touch', 0, 60, 6));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerup', 'touch', 0, 60, 6));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointermove', 'touch', 0, 35, 5));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerup', 'touch', 0, 35, 5));
 
-                expect(parent.scrollTop).toBe(0);
-                expect(parent.scrollLeft).toBe(canScroll ? 50 : 0);
+                expect(parent.scrollTop).toBe(canScroll ? 50 : 0);
             });
 
-            it('should scroll vertically if the vertical scrollbar is moved with the finger', () => {
-                const startEvent = new TouchEvent('touchstart', {
-                    touches: [
-                        new Touch({
-                            identifier: 0,
-                            target: verticalScrollbar,
-                            clientX: 0,
-                            clientY: 10
-                        })
-                    ]
-                });
-                const moveEvent = new TouchEvent('touchmove', {
-                    touches: [
-                        new Touch({
-                            identifier: 0,
-                            target: verticalScrollbar,
-                            clientX: 10,
-                            clientY: 35
-                        })
-                    ]
-                });
-                const stopEvent = new TouchEvent('touchend', {
-                    touches: [
-                        new Touch({
-                            identifier: 0,
-                            target: verticalScrollbar,
-                            clientX: 10,
-                            clientY: 35
-                        })
-                    ]
-                });
+            it('should stop dragging when the pointer gets cancelled', () => {
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerdown', 'touch', 0, 10));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointercancel', 'touch', 0, 10));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointermove', 'touch', 0, 35));
 
-                verticalScrollbar.dispatchEvent(startEvent);
-                document.body.dispatchEvent(moveEvent);
-                document.body.dispatchEvent(stopEvent);
-
-                expect(parent.scrollTop).toBe(canScroll ? 50 : 0);
-                expect(parent.scrollLeft).toBe(0);
+                expect(parent.scrollTop).toBe(0);
             });
 
-            it('should scroll horizontally if the horizontal scrollbar is moved with the finger', () => {
-                const startEvent = new TouchEvent('touchstart', {
-                    touches: [
-                        new Touch({
-                            identifier: 0,
-                            target: horizontalScrollbar,
-                            clientX: 10,
-                            clientY: 0
-                        })
-                    ]
-                });
-                const moveEvent = new TouchEvent('touchmove', {
-                    touches: [
-                        new Touch({
-                            identifier: 0,
-                            target: horizontalScrollbar,
-                            clientX: 35,
-                            clientY: 10
-                        })
-                    ]
-                });
-                const stopEvent = new TouchEvent('touchend', {
-                    touches: [
-                        new Touch({
-                            identifier: 0,
-                            target: horizontalScrollbar,
-                            clientX: 35,
-                            clientY: 10
-                        })
-                    ]
+            it('should not start dragging with the secondary mouse button', () => {
+                const startEvent = new window.PointerEvent('pointerdown', {
+                    pointerId: 1,
+                    pointerType: 'mouse',
+                    button: 2,
+                    clientX: 0,
+                    clientY: 10
                 });
 
-                horizontalScrollbar.dispatchEvent(startEvent);
-                document.body.dispatchEvent(moveEvent);
-                document.body.dispatchEvent(stopEvent);
+                verticalScrollbar.dispatchEvent(startEvent);
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointermove', 'mouse', 0, 35));
+                verticalScrollbar.dispatchEvent(createPointerEvent('pointerup', 'mouse', 0, 35));
 
                 expect(parent.scrollTop).toBe(0);
-                expect(parent.scrollLeft).toBe(canScroll ? 50 : 0);
             });
         });
     });
-});
\ No newline at end of file
+});
@@ -1,4 +1,5 @@
 import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame, getPendingFrameCount } from '../helper';
 
 describe('Scroll by touch', () => {
     let instance = null;
@@ -36,7 +37,6 @@ describe('Scroll by touch', () => {
 
     it('should scroll correctly when using touch events', () => {
         const startEvent = new TouchEvent('touchstart', {
-            which: 0,
             touches: [
                 new Touch({
                     identifier: 0,
@@ -44,10 +44,17 @@ describe('Scroll by touch', () => {
                     clientX: 35,
                     clientY: 50
                 })
+            ],
+            changedTouches: [
+                new Touch({
+                    identifier: 0,
+                    target: parent,
+                    clientX: 35,
+                    clientY: 50
+                })
             ]
         });
         const moveEvent = new TouchEvent('touchmove', {
-            which: 0,
             touches: [
                 new Touch({
                     identifier: 0,
@@ -55,10 +62,17 @@ describe('Scroll by touch', () => {
                     clientX: 10,
                     clientY: 0
                 })
+            ],
+            changedTouches: [
+                new Touch({
+                    identifier: 0,
+                    target: parent,
+                    clientX: 10,
+                    clientY: 0
+                })
             ]
         });
         const stopEvent = new TouchEvent('touchend', {
-            which: 0,
             touches: [
                 new Touch({
                     identifier: 0,
@@ -66,6 +80,14 @@ describe('Scroll by touch', () => {
                     clientX: 10,
                     clientY: 0
                 })
+            ],
+            changedTouches: [
+                new Touch({
+                    identifier: 0,
+                    target: parent,
+                    clientX: 10,
+                    clientY: 0
+                })
             ]
         });
 
@@ -92,6 +114,14 @@ describe('Scroll by touch', () => {
                     clientX: 50,
                     clientY: 35
                 })
+            ],
+            changedTouches: [
+                new Touch({
+                    identifier: 0,
+                    target: parent,
+                    clientX: 50,
+                    clientY: 35
+                })
             ]
         });
         const moveEvent = new TouchEvent('touchmove', {
@@ -102,6 +132,14 @@ describe('Scroll by touch', () => {
                     clientX: 0,
                     clientY: 10
                 })
+            ],
+            changedTouches: [
+                new Touch({
+                    identifier: 0,
+                    target: parent,
+                    clientX: 0,
+                    clientY: 10
+                })
             ]
         });
         const stopEvent = new TouchEvent('touchend', {
@@ -112,6 +150,14 @@ describe('Scroll by touch', () => {
                     clientX: 0,
                     clientY: 10
                 })
+            ],
+            changedTouches: [
+                new Touch({
+                    identifier: 0,
+                    target: parent,
+                    clientX: 0,
+                    clientY: 10
+                })
             ]
         });
 
@@ -122,4 +168,197 @@ describe('Scroll by touch', () => {
         expect(parent.scrollTop).toBe(0);
         expect(parent.scrollLeft).toBe(0);
     });
-});
\ No newline at end of file
+
+    describe('with multiple fingers', () => {
+        const createTouch = (aIdentifier, aClientY) => new Touch({
+            identifier: aIdentifier,
+            target: parent,
+            clientX: 0,
+            clientY: aClientY
+        });
+        const createTouchEvent = (aType, aTouches, aChangedTouches) => new TouchEvent(aType, {
+            touches: aTouches,
+            changedTouches: aChangedTouches
+        });
+
+        it('should track the first finger by its identifier and ignore further fingers', () => {
+            const firstFinger = createTouch(3, 90);
+            const secondFinger = createTouch(7, 50);
+
+            parent.dispatchEvent(createTouchEvent('touchstart', [firstFinger], [firstFinger]));
+            parent.dispatchEvent(createTouchEvent('touchstart', [firstFinger, secondFinger], [secondFinger]));
+
+            // the second finger moves, while the first one rests
+            document.body.dispatchEvent(createTouchEvent(
+                'touchmove',
+                [firstFinger, createTouch(7, 0)],
+                [createTouch(7, 0)]
+            ));
+
+            expect(parent.scrollTop).toBe(0);
+
+            // lifting the second finger doesn't end the gesture of the first one
+            document.body.dispatchEvent(createTouchEvent('touchend', [firstFinger], [createTouch(7, 0)]));
+            document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(3, 60)], [createTouch(3, 60)]));
+
+            expect(parent.scrollTop).toBe(30);
+
+            document.body.dispatchEvent(createTouchEvent('touchend', [], [createTouch(3, 60)]));
+        });
+
+        it('should end the gesture on touchcancel without momentum', () => {
+            fakeAnimationFrames();
+
+            parent.dispatchEvent(createTouchEvent('touchstart', [createTouch(1, 90)], [createTouch(1, 90)]));
+            document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(1, 60)], [createTouch(1, 60)]));
+            document.body.dispatchEvent(createTouchEvent('touchcancel', [], [createTouch(1, 60)]));
+            document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(1, 30)], [createTouch(1, 30)]));
+
+            // only the scrollbar got rendered, but there is no momentum changing the scroll position
+            runFrame();
+
+            expect(parent.scrollTop).toBe(30);
+            expect(getPendingFrameCount()).toBe(0);
+        });
+
+        it('should accept a new gesture after the tracked finger got lifted', () => {
+            parent.dispatchEvent(createTouchEvent('touchstart', [createTouch(1, 90)], [createTouch(1, 90)]));
+            document.body.dispatchEvent(createTouchEvent('touchend', [], [createTouch(1, 90)]));
+
+            parent.dispatchEvent(createTouchEvent('touchstart', [createTouch(2, 90)], [createTouch(2, 90)]));
+            document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(2, 70)], [createTouch(2, 70)]));
+            document.body.dispatchEvent(createTouchEvent('touchend', [], [createTouch(2, 70)]));
+
+            expect(parent.scrollTop).toBe(20);
+        });
+
+        it('should drop a stale tracking, if its touchend never reached the body', () => {
+            parent.dispatchEvent(createTouchEvent('touchstart', [createTouch(1, 90)], [createTouch(1, 90)]));
+            // the touchend of the first finger got stopped on its way to the body
+
+            parent.dispatchEvent(createTouchEvent('touchstart', [createTouch(2, 90)], [createTouch(2, 90)]));
+            document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(2, 70)], [createTouch(2, 70)]));
+            document.body.dispatchEvent(createTouchEvent('touchend', [], [createTouch(2, 70)]));
+
+            expect(parent.scrollTop).toBe(20);
+        });
+
+        it('should stop tracking the finger, when the instance gets destroyed during the gesture', () => {
+            parent.dispatchEvent(createTouchEvent('touchstart', [createTouch(1, 90)], [createTouch(1, 90)]));
+            document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(1, 70)], [createTouch(1, 70)]));
+            instance.destroy();
+            instance = null;
+
+            expect(() => {
+                document.body.dispatchEvent(createTouchEvent('touchmove', [createTouch(1, 50)], [createTouch(1, 50)]));
+                document.body.dispatchEvent(createTouchEvent('touchend', [], [createTouch(1, 50)]));
+            }).not.toThrow();
+            expect(parent.scrollTop).toBe(20);
+        });
+    });
+
+    describe('with momentum', () => {
+        const createTouchEvent = (aType, aClientY, aTimeStamp) => {
+            const event = new TouchEvent(aType, {
+                touches: [
+                    new Touch({
+                        identifier: 0,
+                        target: parent,
+                        clientX: 0,
+                        clientY: aClientY
+                    })
+                ],
+                changedTouches: [
+                    new Touch({
+                        identifier: 0,
+                        target: parent,
+                        clientX: 0,
+                        clientY: aClientY
+                    })
+                ]
+            });
+            Object.defineProperty(event, 'timeStamp', { value: aTimeStamp });
+
+            return event;
+        };
+
+        beforeEach(() => {
+            fakeAnimationFrames();
+        });
+
+        it('should keep on scrolling after the touch ended', () => {
+            parent.dispatchEvent(createTouchEvent('touchstart', 50, 1000));
+            document.body.dispatchEvent(createTouchEvent('touchmove', 40, 1010));
+            document.body.dispatchEvent(createTouchEvent('touchend', 40, 1020));
+
+            expect(parent.scrollTop).toBe(10);
+
+            runFrame(2000);
+
+            expect(parent.scrollTop).toBeGreaterThan(10);
+        });
+
+        it('should stop the momentum on the next touch', () => {
+            parent.dispatchEvent(createTouchEvent('touchstart', 50, 1000));
+            document.body.dispatchEvent(createTouchEvent('touchmove', 40, 1010));
+            document.body.dispatchEvent(createTouchEvent('touchend', 40, 1020));
+            runFrame(2000);
+
+            const scrollTopAfterFirstFrame = parent.scrollTop;
+            parent.dispatchEvent(createTouchEvent('touchstart', 50, 2010));
+            runFrame(2016);
+            document.body.dispatchEvent(createTouchEvent('touchend', 50, 2500));
+
+            expect(parent.scrollTop).toBe(scrollTopAfterFirstFrame);
+        });
+
+        it('should not start a momentum if the finger rested before the touch ended', () => {
+            parent.dispatchEvent(createTouchEvent('touchstart', 50, 1000));
+            document.body.dispatchEvent(createTouchEvent('touchmove', 40, 1010));
+            document.body.dispatchEvent(createTouchEvent('touchend', 40, 1500));
+            // the frame only renders the scrollbar, there is no momentum requesting further frames
+            runFrame(2000);
+
+            expect(getPendingFrameCount()).toBe(0);
+            expect(parent.scrollTop).toBe(10);
+        });
+
+        it('should use the default touchFriction for values, that never slow the momentum down', () => {
+            const scrollWithMomentum = () => {
+                parent.dispatchEvent(createTouchEvent('touchstart', 50, 1000));
+                document.body.dispatchEvent(createTouchEvent('touchmove', 40, 1010));
+                document.body.dispatchEvent(createTouchEvent('touchend', 40, 1020));
+                runFrame(2000);
+                runFrame(2016);
+                runFrame(2032);
+
+                return parent.scrollTop;
+            };
+            const defaultScrollTop = scrollWithMomentum();
+
+            instance.destroy();
+            parent.scrollTop = 0;
+            instance = new PocScrollbar(parent, {
+                touchFriction: 2
+            });
+
+            expect(scrollWithMomentum()).toBe(defaultScrollTop);
+            expect(defaultScrollTop).toBeLessThan(100);
+        });
+
+        it('should not start a momentum if touchMomentum is false', () => {
+            instance.destroy();
+            instance = new PocScrollbar(parent, {
+                touchMomentum: false
+            });
+
+            parent.dispatchEvent(createTouchEvent('touchstart', 50, 1000));
+            document.body.dispatchEvent(createTouchEvent('touchmove', 40, 1010));
+            document.body.dispatchEvent(createTouchEvent('touchend', 40, 1020));
+            runFrame(2000);
+
+            expect(getPendingFrameCount()).toBe(0);
+            expect(parent.scrollTop).toBe(10);
+        });
+    });
+});
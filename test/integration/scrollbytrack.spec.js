@@ -0,0 +1,122 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame, getPosition } from '../helper';
+
+describe('Scroll by track', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let verticalTrack = null;
+
+    const createMouseEvent = (aType, aOffsetY) => new MouseEvent(aType, {
+        clientX: parent.getBoundingClientRect().left + 100,
+        clientY: parent.getBoundingClientRect().top + aOffsetY
+    });
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '500px';
+        child.style.width = '100px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            showTracks: true,
+            xTrackClass: ['track', 'horizontal'],
+            yTrackClass: ['track', 'vertical']
+        });
+
+        verticalTrack = parent.querySelector('.track.vertical');
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should add the tracks before the scrollbars', () => {
+        expect(verticalTrack instanceof Element).toBe(true);
+        expect(parent.querySelector('.track.horizontal') instanceof Element).toBe(true);
+        expect(verticalTrack.compareDocumentPosition(parent.querySelector('.scrollbar.vertical')))
+            .toBe(Node.DOCUMENT_POSITION_FOLLOWING);
+    });
+
+    it('should span the track over the visible area', () => {
+        expect(verticalTrack.style.display).toBe('block');
+        expect(verticalTrack.style.height).toBe('100px');
+        expect(parent.querySelector('.track.horizontal').style.display).toBe('none');
+    });
+
+    it('should move the track with the scroll position', () => {
+        instance.scrollTop(150);
+        runFrame();
+
+        expect(getPosition(verticalTrack).y).toBe(150);
+    });
+
+    it('should page towards the pointer and repeat till the scrollbar reaches it', () => {
+        verticalTrack.dispatchEvent(createMouseEvent('mousedown', 90));
+
+        expect(parent.scrollTop).toBe(100);
+
+        jasmine.clock().tick(301);
+        runFrame();
+        expect(parent.scrollTop).toBe(200);
+
+        jasmine.clock().tick(200);
+        expect(parent.scrollTop).toBe(400);
+
+        document.body.dispatchEvent(createMouseEvent('mouseup', 90));
+    });
+
+    it('should stop paging when the mouse is released', () => {
+        verticalTrack.dispatchEvent(createMouseEvent('mousedown', 90));
+        document.body.dispatchEvent(createMouseEvent('mouseup', 90));
+        jasmine.clock().tick(1000);
+
+        expect(parent.scrollTop).toBe(100);
+    });
+
+    it('should stop paging and tracking the pointer, when the instance gets destroyed', () => {
+        verticalTrack.dispatchEvent(createMouseEvent('mousedown', 90));
+        instance.destroy();
+        instance = null;
+
+        expect(() => {
+            jasmine.clock().tick(1000);
+            document.body.dispatchEvent(createMouseEvent('mousemove', 50));
+            document.body.dispatchEvent(createMouseEvent('mouseup', 50));
+        }).not.toThrow();
+        expect(parent.scrollTop).toBe(100);
+    });
+
+    it('should page upwards if the pointer is above the scrollbar', () => {
+        instance.scrollTop(400);
+        verticalTrack.dispatchEvent(createMouseEvent('mousedown', 10));
+        document.body.dispatchEvent(createMouseEvent('mouseup', 10));
+
+        expect(parent.scrollTop).toBe(300);
+    });
+
+    it('should not add tracks by default', () => {
+        instance.destroy();
+        instance = new PocScrollbar(parent, {});
+
+        expect(parent.children.length).toBe(3);
+    });
+});
@@ -1,4 +1,5 @@
 import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame, getPosition } from '../helper';
 
 describe('Scroll by wheel', () => {
     let instance = null;
@@ -20,11 +21,13 @@ describe('Scroll by wheel', () => {
         parent.appendChild(child);
         document.body.appendChild(parent);
         jasmine.clock().install();
+        fakeAnimationFrames();
         instance = new PocScrollbar(parent, {
             xElementClass: ['scrollbar', 'horizontal'],
             yElementClass: ['scrollbar', 'vertical']
         });
         jasmine.clock().tick(301);
+        runFrame();
 
         verticalScrollbar = parent.querySelector('.scrollbar.vertical');
         horizontalScrollbar = parent.querySelector('.scrollbar.horizontal');
@@ -81,6 +84,7 @@ describe('Scroll by wheel', () => {
     it('should react on wheel scroll down and left events with bigger child', () => {
         child.style.width = '200px';
         jasmine.clock().tick(301);
+        runFrame();
         const event = new WheelEvent('wheel', {
             deltaX: 25,
             deltaY: 25
@@ -95,16 +99,18 @@ describe('Scroll by wheel', () => {
     it('should react on wheel scroll down and left events with bigger child', () => {
         child.style.width = '200px';
         jasmine.clock().tick(301);
+        runFrame();
         const event = new WheelEvent('wheel', {
             deltaX: 50,
             deltaY: 100
         });
 
         parent.dispatchEvent(event);
+        runFrame();
 
         // 50 is scrolled away, and 50/200 = 25/100 in viewport
-        expect(horizontalScrollbar.style.left).toBe(`${50 + 25}px`);
+        expect(getPosition(horizontalScrollbar).x).toBe(50 + 25);
         // 100 is scrolled away, and 100/200 = 50/100 in viewport
-        expect(verticalScrollbar.style.top).toBe(`${100 + 50}px`);
+        expect(getPosition(verticalScrollbar).y).toBe(100 + 50);
     });
 });
\ No newline at end of file
@@ -0,0 +1,170 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Scroll chaining', () => {
+    let outerInstance = null;
+    let innerInstance = null;
+    let outer = null;
+    let inner = null;
+
+    const createInstances = (aInnerOptions) => {
+        outerInstance = new PocScrollbar(outer);
+        innerInstance = new PocScrollbar(inner, aInnerOptions);
+    };
+    const wheel = (aElement, aDeltaY) => {
+        const event = new WheelEvent('wheel', {
+            bubbles: true,
+            cancelable: true,
+            deltaX: 0,
+            deltaY: aDeltaY
+        });
+
+        aElement.dispatchEvent(event);
+
+        return event;
+    };
+    const createTouchEvent = (aType, aClientY) => {
+        const touch = new Touch({
+            identifier: 0,
+            target: inner,
+            clientX: 0,
+            clientY: aClientY
+        });
+
+        return new TouchEvent(aType, {
+            bubbles: true,
+            cancelable: true,
+            touches: aType === 'touchend' ? [] : [touch],
+            changedTouches: [touch]
+        });
+    };
+    const swipe = (aFromY, aToY) => {
+        inner.dispatchEvent(createTouchEvent('touchstart', aFromY));
+        document.body.dispatchEvent(createTouchEvent('touchmove', aToY));
+        document.body.dispatchEvent(createTouchEvent('touchend', aToY));
+    };
+
+    beforeEach(() => {
+        const innerContent = document.createElement('div');
+        const spacer = document.createElement('div');
+
+        outer = document.createElement('div');
+        inner = document.createElement('div');
+
+        outer.style.height = '100px';
+        outer.style.width = '100px';
+        inner.style.height = '50px';
+        inner.style.width = '100px';
+        innerContent.style.height = '150px';
+        innerContent.style.width = '100px';
+        spacer.style.height = '200px';
+        spacer.style.width = '100px';
+
+        inner.appendChild(innerContent);
+        outer.appendChild(inner);
+        outer.appendChild(spacer);
+        document.body.appendChild(outer);
+        jasmine.clock().install();
+    });
+
+    afterEach(() => {
+        document.body.removeChild(outer);
+
+        innerInstance.destroy();
+        outerInstance.destroy();
+        innerInstance = null;
+        outerInstance = null;
+        outer = null;
+        inner = null;
+        jasmine.clock().uninstall();
+    });
+
+    it('should hand the remaining wheel distance over to the parent instance by default', () => {
+        createInstances();
+
+        const event = wheel(inner, 130);
+
+        expect(inner.scrollTop).toBe(100);
+        expect(outer.scrollTop).toBe(30);
+        expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should only scroll the inner instance, while it can scroll', () => {
+        createInstances();
+
+        wheel(inner, 60);
+
+        expect(inner.scrollTop).toBe(60);
+        expect(outer.scrollTop).toBe(0);
+    });
+
+    it('should hand the remaining touch distance over to the parent instance by default', () => {
+        createInstances();
+
+        swipe(200, 70);
+
+        expect(inner.scrollTop).toBe(100);
+        expect(outer.scrollTop).toBe(30);
+    });
+
+    it('should only track the touch with the inner instance', () => {
+        createInstances();
+
+        swipe(100, 60);
+
+        expect(inner.scrollTop).toBe(40);
+        expect(outer.scrollTop).toBe(0);
+    });
+
+    it('should leave the remaining distance to the browser without parent instance', () => {
+        createInstances();
+        spyOn(window, 'scrollBy');
+        outerInstance.scrollTop(100);
+
+        const scrolledEvent = wheel(outer, 80);
+        const remainingEvent = wheel(outer, 80);
+
+        expect(outer.scrollTop).toBe(150);
+        expect(window.scrollBy).not.toHaveBeenCalled();
+        expect(scrolledEvent.defaultPrevented).toBe(true);
+        expect(remainingEvent.defaultPrevented).toBe(false);
+    });
+
+    ['contain', 'none'].forEach((aBehavior) => {
+        it(`should not hand the remaining distance over with ${aBehavior}`, () => {
+            createInstances({ overscrollBehavior: aBehavior });
+            spyOn(window, 'scrollBy');
+
+            const event = wheel(inner, 130);
+            swipe(200, 70);
+
+            expect(inner.scrollTop).toBe(100);
+            expect(outer.scrollTop).toBe(0);
+            expect(window.scrollBy).not.toHaveBeenCalled();
+            expect(event.defaultPrevented).toBe(true);
+        });
+    });
+
+    it('should overscroll the inner instance with contain, but not with none', () => {
+        createInstances({ overscrollBehavior: 'contain', overscroll: true });
+
+        wheel(inner, 130);
+
+        expect(inner.firstElementChild.style.transform).not.toBe('');
+
+        innerInstance.destroy();
+        innerInstance = new PocScrollbar(inner, { overscrollBehavior: 'none', overscroll: true });
+
+        wheel(inner, 130);
+
+        expect(inner.firstElementChild.style.transform).toBe('');
+    });
+
+    it('should not overscroll the inner instance, that hands the distance over', () => {
+        createInstances({ overscroll: true });
+
+        wheel(inner, 130);
+
+        expect(inner.firstElementChild.style.transform).toBe('');
+        expect(outer.scrollTop).toBe(30);
+    });
+});
@@ -0,0 +1,144 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Scroll events', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should emit a scroll event with the source and the current position', () => {
+        const handler = jasmine.createSpy('handler');
+        instance.on('scroll', handler);
+
+        instance.scrollTop(25);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.calls.mostRecent().args[0]).toEqual({
+            type: 'scroll',
+            source: 'programmatic',
+            scrollTop: 25,
+            scrollLeft: 0,
+            target: instance
+        });
+    });
+
+    it('should pass the wheel as source for wheel events', () => {
+        const handler = jasmine.createSpy('handler');
+        instance.on('scroll', handler);
+
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: 25
+        }));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.calls.mostRecent().args[0].source).toBe('wheel');
+    });
+
+    it('should not emit a scroll event if nothing changed', () => {
+        const handler = jasmine.createSpy('handler');
+        instance.on('scroll', handler);
+
+        instance.scrollTop(0);
+
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should emit scrollstart once and scrollend after the scrollEndDelay', () => {
+        const startHandler = jasmine.createSpy('startHandler');
+        const endHandler = jasmine.createSpy('endHandler');
+        instance.on('scrollstart', startHandler).on('scrollend', endHandler);
+
+        instance.scrollTop(10);
+        instance.scrollTop(20);
+        jasmine.clock().tick(100);
+        instance.scrollTop(30);
+
+        expect(startHandler).toHaveBeenCalledTimes(1);
+        expect(endHandler).not.toHaveBeenCalled();
+
+        jasmine.clock().tick(151);
+
+        expect(endHandler).toHaveBeenCalledTimes(1);
+        expect(endHandler.calls.mostRecent().args[0].scrollTop).toBe(30);
+    });
+
+    it('should emit the edge events when reaching an edge', () => {
+        const bottomHandler = jasmine.createSpy('bottomHandler');
+        const topHandler = jasmine.createSpy('topHandler');
+        const rightHandler = jasmine.createSpy('rightHandler');
+        instance
+            .on('reachbottom', bottomHandler)
+            .on('reachtop', topHandler)
+            .on('reachright', rightHandler);
+
+        instance.scrollTop(500);
+        instance.scrollLeft(500);
+        instance.scrollTop(50);
+        instance.scrollTop(0);
+
+        expect(bottomHandler).toHaveBeenCalledTimes(1);
+        expect(topHandler).toHaveBeenCalledTimes(1);
+        expect(rightHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit a resize event when the content size changes', () => {
+        const handler = jasmine.createSpy('handler');
+        instance.on('resize', handler);
+
+        child.style.height = '300px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not call handlers removed with off', () => {
+        const handler = jasmine.createSpy('handler');
+        const otherHandler = jasmine.createSpy('otherHandler');
+        instance.on('scroll', handler).on('scroll', otherHandler);
+
+        instance.off('scroll', handler);
+        instance.scrollTop(25);
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(otherHandler).toHaveBeenCalledTimes(1);
+
+        instance.off('scroll');
+        instance.scrollTop(50);
+
+        expect(otherHandler).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,151 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Scroll into view', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let rows = [];
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+        rows = [];
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.width = '200px';
+
+        for (let i = 0; i < 10; i += 1) {
+            const row = document.createElement('div');
+
+            row.style.height = '40px';
+            row.style.width = '50px';
+            row.style.marginLeft = `${i * 10}px`;
+            rows.push(row);
+            child.appendChild(row);
+        }
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+    });
+
+    it('should align the element with the start by default', (done) => {
+        instance.scrollIntoView(rows[3]).then((aResult) => {
+            expect(aResult).toBe(true);
+            expect(parent.scrollTop).toBe(120);
+            expect(parent.scrollLeft).toBe(0);
+            done();
+        });
+    });
+
+    it('should align the element with the center or the end', () => {
+        instance.scrollIntoView(rows[3], { block: 'center' });
+        expect(parent.scrollTop).toBe(90);
+
+        instance.scrollIntoView(rows[3], { block: 'end' });
+        expect(parent.scrollTop).toBe(60);
+    });
+
+    it('should keep the margin to the edges', () => {
+        instance.scrollIntoView(rows[3], { margin: 10 });
+        expect(parent.scrollTop).toBe(110);
+
+        instance.scrollIntoView(rows[3], { block: 'end', margin: 10 });
+        expect(parent.scrollTop).toBe(70);
+    });
+
+    it('should scroll only as far as needed with nearest', () => {
+        instance.scrollIntoView(rows[4], { block: 'nearest' });
+        expect(parent.scrollTop).toBe(100);
+
+        instance.scrollIntoView(rows[3], { block: 'nearest' });
+        expect(parent.scrollTop).toBe(100);
+
+        instance.scrollIntoView(rows[1], { block: 'nearest' });
+        expect(parent.scrollTop).toBe(40);
+    });
+
+    it('should scroll horizontally with the inline option', () => {
+        instance.scrollIntoView(rows[9], { inline: 'nearest' });
+        expect(parent.scrollLeft).toBe(40);
+
+        instance.scrollIntoView(rows[9], { inline: 'start' });
+        expect(parent.scrollLeft).toBe(90);
+    });
+
+    it('should not scroll with ifNeeded, if the element is fully visible', () => {
+        instance.scrollTop(30);
+
+        instance.scrollIntoView(rows[1], { ifNeeded: true });
+        expect(parent.scrollTop).toBe(30);
+
+        instance.scrollIntoView(rows[3], { ifNeeded: true });
+        expect(parent.scrollTop).toBe(120);
+    });
+
+    it('should clamp the position to the scrollable range', () => {
+        instance.scrollIntoView(rows[9]);
+
+        expect(parent.scrollTop).toBe(300);
+    });
+
+    it('should sum up the offsets of nested offsetParents', () => {
+        const wrapper = document.createElement('div');
+        const nestedRow = document.createElement('div');
+
+        wrapper.style.position = 'relative';
+        wrapper.style.border = '5px solid black';
+        wrapper.style.marginTop = '20px';
+        nestedRow.style.position = 'absolute';
+        nestedRow.style.top = '30px';
+        nestedRow.style.height = '10px';
+        wrapper.appendChild(nestedRow);
+        child.insertBefore(wrapper, rows[0]);
+
+        instance.scrollIntoView(nestedRow);
+
+        expect(parent.scrollTop).toBe(55);
+    });
+
+    it('should resolve with false for elements outside of the container', (done) => {
+        const outsideElement = document.createElement('div');
+
+        document.body.appendChild(outsideElement);
+
+        instance.scrollIntoView(outsideElement).then((aResult) => {
+            expect(aResult).toBe(false);
+            expect(parent.scrollTop).toBe(0);
+            document.body.removeChild(outsideElement);
+            done();
+        });
+    });
+
+    it('should pass the animation options to scrollTo', () => {
+        spyOn(instance, 'scrollTo');
+
+        instance.scrollIntoView(rows[3], { animate: true });
+        expect(instance.scrollTo).toHaveBeenCalledWith({ top: 120, left: 0 }, {});
+
+        instance.scrollIntoView(rows[3], { animate: { duration: 100 } });
+        expect(instance.scrollTo).toHaveBeenCalledWith({ top: 120, left: 0 }, { duration: 100 });
+
+        instance.scrollIntoView(rows[3]);
+        expect(instance.scrollTo).toHaveBeenCalledWith({ top: 120, left: 0 }, { duration: 0 });
+    });
+});
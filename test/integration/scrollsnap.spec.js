@@ -0,0 +1,199 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Scroll snapping', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+    let items = [];
+
+    const createInstance = (aSnapOptions) => {
+        if (instance) {
+            instance.destroy();
+        }
+
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical'],
+            snap: aSnapOptions
+        });
+    };
+    const wheel = (aDeltaY) => {
+        parent.dispatchEvent(new WheelEvent('wheel', {
+            deltaX: 0,
+            deltaY: aDeltaY
+        }));
+    };
+    const createTouchEvent = (aType, aClientY, aTimeStamp) => {
+        const touch = new Touch({
+            identifier: 0,
+            target: parent,
+            clientX: 0,
+            clientY: aClientY
+        });
+        const event = new TouchEvent(aType, {
+            touches: aType === 'touchend' ? [] : [touch],
+            changedTouches: [touch]
+        });
+        Object.defineProperty(event, 'timeStamp', { value: aTimeStamp });
+
+        return event;
+    };
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+        items = [];
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+
+        for (let i = 0; i < 5; i += 1) {
+            const item = document.createElement('div');
+
+            item.className = 'item';
+            item.style.height = '80px';
+            item.style.width = '100px';
+            items.push(item);
+            child.appendChild(item);
+        }
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should snap to the nearest interval after the wheel stopped', () => {
+        createInstance({ interval: 50, duration: 0 });
+
+        wheel(30);
+        expect(parent.scrollTop).toBe(30);
+
+        jasmine.clock().tick(151);
+        expect(parent.scrollTop).toBe(50);
+
+        wheel(20);
+        jasmine.clock().tick(151);
+        expect(parent.scrollTop).toBe(50);
+    });
+
+    it('should use different intervals per direction', () => {
+        createInstance({ interval: { x: 50, y: 120 }, duration: 0 });
+
+        wheel(70);
+        jasmine.clock().tick(151);
+
+        expect(parent.scrollTop).toBe(120);
+    });
+
+    it('should snap to the start of the elements matching the selector', () => {
+        createInstance({ selector: '.item', duration: 0 });
+
+        wheel(50);
+        jasmine.clock().tick(151);
+
+        expect(parent.scrollTop).toBe(80);
+    });
+
+    it('should snap to the center of the elements with the center alignment', () => {
+        createInstance({ selector: '.item', align: 'center', duration: 0 });
+
+        wheel(100);
+        jasmine.clock().tick(151);
+
+        // the items are centered at 40, 120, 200, ... so the second one gets centered at 70
+        expect(parent.scrollTop).toBe(70);
+    });
+
+    it('should prefer the CSS scroll-snap-align of the elements', () => {
+        items.forEach((aItem) => {
+            const item = aItem;
+
+            item.style.scrollSnapAlign = 'end';
+        });
+        createInstance({ selector: '.item', align: 'start', duration: 0 });
+
+        wheel(50);
+        jasmine.clock().tick(151);
+
+        expect(parent.scrollTop).toBe(60);
+    });
+
+    it('should not snap after programmatic or keyboard scrolls', () => {
+        createInstance({ interval: 50, duration: 0 });
+
+        instance.scrollTop(30);
+        jasmine.clock().tick(151);
+        expect(parent.scrollTop).toBe(30);
+
+        parent.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+        jasmine.clock().tick(151);
+        expect(parent.scrollTop % 50).not.toBe(0);
+    });
+
+    it('should not snap without the snap option', () => {
+        createInstance(undefined);
+
+        wheel(30);
+        jasmine.clock().tick(151);
+
+        expect(parent.scrollTop).toBe(30);
+    });
+
+    it('should snap when the finger gets lifted without momentum, but not while it rests', () => {
+        createInstance({ interval: 50, duration: 0 });
+
+        parent.dispatchEvent(createTouchEvent('touchstart', 90, 0));
+        document.body.dispatchEvent(createTouchEvent('touchmove', 60, 16));
+        jasmine.clock().tick(500);
+
+        expect(parent.scrollTop).toBe(30);
+
+        document.body.dispatchEvent(createTouchEvent('touchend', 60, 516));
+
+        expect(parent.scrollTop).toBe(50);
+    });
+
+    it('should snap when dragging the scrollbar ended', () => {
+        createInstance({ interval: 50, duration: 0 });
+        const scrollbar = parent.querySelector('.scrollbar.vertical');
+        const createPointerEvent = (aType, aClientY) => new window.PointerEvent(aType, {
+            pointerId: 1,
+            pointerType: 'mouse',
+            clientX: 0,
+            clientY: aClientY
+        });
+
+        scrollbar.dispatchEvent(createPointerEvent('pointerdown', 0));
+        scrollbar.dispatchEvent(createPointerEvent('pointermove', 6));
+        jasmine.clock().tick(500);
+
+        expect(parent.scrollTop).toBe(24);
+
+        scrollbar.dispatchEvent(createPointerEvent('pointerup', 6));
+
+        expect(parent.scrollTop).toBe(0);
+    });
+
+    it('should animate to the snap point with the given animation options', () => {
+        createInstance({ interval: 50, duration: 200, easing: 'linear' });
+        spyOn(instance, 'scrollTo');
+
+        wheel(30);
+        jasmine.clock().tick(151);
+
+        expect(instance.scrollTo).toHaveBeenCalledWith({ top: 50, left: 0 }, { duration: 200, easing: 'linear' });
+    });
+});
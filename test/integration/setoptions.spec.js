@@ -0,0 +1,114 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Set options', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should return a copy of the options with the changed values', () => {
+        instance.setOptions({ checkInterval: 100 });
+
+        const options = instance.getOptions();
+
+        expect(options.checkInterval).toBe(100);
+        expect(options.yElementClass).toEqual(['scrollbar', 'vertical']);
+
+        options.checkInterval = 500;
+
+        expect(instance.getOptions().checkInterval).toBe(100);
+    });
+
+    it('should set the scrollbars up again and keep the scroll position', () => {
+        instance.scrollTop(50);
+        instance.scrollLeft(30);
+        instance.setOptions({ disableXScrolling: true, yElementClass: 'new-scrollbar' });
+
+        const verticalScrollbar = parent.querySelector('.new-scrollbar');
+
+        expect(parent.querySelector('.scrollbar')).toBe(null);
+        expect(parent.querySelectorAll('[role="scrollbar"]').length).toBe(1);
+        expect(verticalScrollbar.getAttribute('aria-valuenow')).toBe('50');
+        expect(instance.scrollTop()).toBe(50);
+        expect(parent.scrollLeft).toBe(30);
+    });
+
+    it('should set the event listeners up again', () => {
+        instance.setOptions({ disableKeyboardScrolling: true });
+
+        parent.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+
+        expect(parent.hasAttribute('tabindex')).toBe(false);
+        expect(parent.scrollTop).toBe(0);
+
+        instance.setOptions({ disableKeyboardScrolling: false });
+        parent.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+
+        expect(parent.getAttribute('tabindex')).toBe('0');
+        expect(parent.scrollTop).toBeGreaterThan(0);
+    });
+
+    it('should set the change detection up again', (done) => {
+        const resizeHandler = jasmine.createSpy('resizeHandler');
+
+        instance.on('resize', resizeHandler);
+        instance.setOptions({ useMutationObserver: true, checkInterval: 50 });
+        child.style.height = '300px';
+
+        // the mutation observer gets notified before the promise resolves
+        Promise.resolve().then(() => {
+            jasmine.clock().tick(51);
+
+            expect(resizeHandler).toHaveBeenCalledTimes(1);
+            done();
+        });
+    });
+
+    it('should still end a running scroll', () => {
+        const scrollEndSpy = jasmine.createSpy('scrollend');
+
+        instance.on('scrollend', scrollEndSpy);
+        instance.scrollTop(50);
+        instance.setOptions({ scrollEndDelay: 200 });
+        jasmine.clock().tick(201);
+
+        expect(scrollEndSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stick to the bottom, when the option gets enabled', () => {
+        instance.setOptions({ stickToBottom: true });
+
+        expect(parent.scrollTop).toBe(100);
+        expect(instance.isStuckToBottom()).toBe(true);
+    });
+});
@@ -0,0 +1,127 @@
+import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Stick to bottom', () => {
+    let instance = null;
+    let parent = null;
+    let child = null;
+
+    const createInstance = (aOptions) => {
+        instance = new PocScrollbar(parent, Object.assign({
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        }, aOptions));
+    };
+
+    beforeEach(() => {
+        instance = null;
+        parent = document.createElement('div');
+        child = document.createElement('div');
+
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        child.style.height = '200px';
+        child.style.width = '200px';
+
+        parent.appendChild(child);
+        document.body.appendChild(parent);
+        jasmine.clock().install();
+        fakeAnimationFrames();
+    });
+
+    afterEach(() => {
+        document.body.removeChild(parent);
+        parent = null;
+        child = null;
+
+        if (instance) {
+            instance.destroy();
+            instance = null;
+        }
+        jasmine.clock().uninstall();
+    });
+
+    it('should start at the bottom and follow growing content', () => {
+        createInstance({ stickToBottom: true });
+
+        expect(parent.scrollTop).toBe(100);
+        expect(instance.isStuckToBottom()).toBe(true);
+
+        child.style.height = '300px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(200);
+        expect(parent.querySelector('.scrollbar.vertical').getAttribute('aria-valuenow')).toBe('200');
+    });
+
+    it('should keep the horizontal position while following the content', () => {
+        createInstance({ stickToBottom: true });
+        instance.scrollLeft(50);
+
+        child.style.height = '300px';
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(parent.scrollTop).toBe(200);
+        expect(parent.scrollLeft).toBe(50);
+        expect(parent.querySelector('.scrollbar.horizontal').getAttribute('aria-valuenow')).toBe('50');
+    });
+
+    it('should stop following, when scrolled up, and follow again at the bottom', () => {
+        createInstance({ stickToBottom: true });
+
+        instance.scrollTop(60);
+        expect(instance.isStuckToBottom()).toBe(false);
+
+        child.style.height = '300px';
+        jasmine.clock().tick(301);
+        runFrame();
+        expect(parent.scrollTop).toBe(60);
+
+        instance.scrollTop(200);
+        expect(instance.isStuckToBottom()).toBe(true);
+
+        child.style.height = '400px';
+        jasmine.clock().tick(301);
+        runFrame();
+        expect(parent.scrollTop).toBe(300);
+    });
+
+    it('should follow the content again after calling stickToBottom', () => {
+        createInstance({ stickToBottom: true });
+        instance.scrollTop(0);
+
+        instance.stickToBottom();
+        expect(parent.scrollTop).toBe(100);
+        expect(instance.isStuckToBottom()).toBe(true);
+
+        child.style.height = '300px';
+        jasmine.clock().tick(301);
+        runFrame();
+        expect(parent.scrollTop).toBe(200);
+    });
+
+    it('should not follow the content without the option, till stickToBottom is called', () => {
+        createInstance();
+
+        expect(parent.scrollTop).toBe(0);
+        expect(instance.isStuckToBottom()).toBe(false);
+
+        instance.scrollTop(100);
+        child.style.height = '300px';
+        jasmine.clock().tick(301);
+        runFrame();
+        expect(parent.scrollTop).toBe(100);
+
+        instance.stickToBottom();
+        child.style.height = '400px';
+        jasmine.clock().tick(301);
+        runFrame();
+        expect(parent.scrollTop).toBe(300);
+
+        instance.scrollTop(100);
+        instance.scrollTop(300);
+        expect(instance.isStuckToBottom()).toBe(false);
+    });
+});
@@ -0,0 +1,215 @@
+import PocScrollbar from '../../src/pocscrollbar';
+
+describe('Virtual list', () => {
+    let instance = null;
+    let list = null;
+    let parent = null;
+    let renderItem = null;
+
+    const createList = (aOptions) => {
+        list = new PocScrollbar.VirtualList(instance, Object.assign({
+            itemCount: 100000,
+            itemHeight: 20,
+            renderItem
+        }, aOptions));
+    };
+    const getRenderedIndexes = () => Array.prototype.map
+        .call(parent.querySelectorAll('.row'), aRow => window.parseInt(aRow.getAttribute('data-index'), 10))
+        .sort((a, b) => a - b);
+
+    beforeEach(() => {
+        parent = document.createElement('div');
+        parent.style.height = '100px';
+        parent.style.width = '100px';
+        document.body.appendChild(parent);
+
+        renderItem = jasmine.createSpy('renderItem').and.callFake((aIndex) => {
+            const row = document.createElement('div');
+
+            row.className = 'row';
+            row.setAttribute('data-index', `${aIndex}`);
+
+            return row;
+        });
+        instance = new PocScrollbar(parent, {
+            xElementClass: ['scrollbar', 'horizontal'],
+            yElementClass: ['scrollbar', 'vertical']
+        });
+    });
+
+    afterEach(() => {
+        if (list) {
+            list.destroy();
+            list = null;
+        }
+        instance.destroy();
+        instance = null;
+        document.body.removeChild(parent);
+        parent = null;
+    });
+
+    it('should give the container the virtual height of all items', () => {
+        createList();
+
+        expect(parent.scrollHeight).toBe(2000000);
+        expect(parent.querySelector('.scrollbar.vertical').style.display).toBe('block');
+    });
+
+    it('should render only the visible items and the overscan', () => {
+        createList({ overscan: 2 });
+
+        expect(getRenderedIndexes()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+        expect(parent.querySelector('.row[data-index="3"]').style.top).toBe('60px');
+        expect(parent.querySelector('.row[data-index="3"]').style.height).toBe('20px');
+    });
+
+    it('should render the visible items after scrolling', () => {
+        createList({ overscan: 0 });
+
+        instance.scrollTop(1000010);
+
+        expect(getRenderedIndexes()).toEqual([50000, 50001, 50002, 50003, 50004, 50005]);
+    });
+
+    it('should render the visible items, after the handlers of the user got removed', () => {
+        createList({ overscan: 0 });
+
+        instance.off();
+        instance.scrollTop(1000010);
+
+        expect(getRenderedIndexes()).toEqual([50000, 50001, 50002, 50003, 50004, 50005]);
+    });
+
+    it('should not render items again, that are still visible', () => {
+        createList({ overscan: 0 });
+        renderItem.calls.reset();
+
+        instance.scrollTop(20);
+
+        expect(renderItem).toHaveBeenCalledTimes(1);
+        expect(renderItem).toHaveBeenCalledWith(5);
+    });
+
+    it('should use the heights of the itemHeight function', () => {
+        createList({
+            itemCount: 10,
+            itemHeight: aIndex => (aIndex % 2 === 0 ? 10 : 30),
+            overscan: 0
+        });
+
+        expect(parent.scrollHeight).toBe(200);
+        expect(getRenderedIndexes()).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(parent.querySelector('.row[data-index="5"]').style.top).toBe('90px');
+    });
+
+    it('should measure the items with measureItems', () => {
+        renderItem.and.callFake((aIndex) => {
+            const row = document.createElement('div');
+
+            row.className = 'row';
+            row.setAttribute('data-index', `${aIndex}`);
+            row.style.height = '50px';
+
+            return row;
+        });
+        createList({ itemCount: 100, measureItems: true, overscan: 0 });
+
+        expect(getRenderedIndexes()).toEqual([0, 1]);
+        expect(parent.querySelector('.row[data-index="1"]').style.top).toBe('50px');
+        // the first five rows got rendered with their estimation and measured, the others are estimated
+        expect(parent.scrollHeight).toBe((5 * 50) + (95 * 20));
+    });
+
+    it('should render all items again on update', () => {
+        createList({ overscan: 0 });
+        renderItem.calls.reset();
+
+        list.update(3);
+
+        expect(renderItem).toHaveBeenCalledTimes(3);
+        expect(parent.scrollHeight).toBe(100);
+        expect(getRenderedIndexes()).toEqual([0, 1, 2]);
+    });
+
+    it('should keep the touched item in the document till the touch ends', () => {
+        const createTouchEvent = (aType, aTarget, aClientY) => {
+            const touch = new Touch({
+                identifier: 0,
+                target: aTarget,
+                clientX: 0,
+                clientY: aClientY
+            });
+
+            return new TouchEvent(aType, {
+                bubbles: true,
+                cancelable: true,
+                touches: aType === 'touchend' ? [] : [touch],
+                changedTouches: [touch]
+            });
+        };
+
+        createList({ overscan: 0 });
+
+        const row = parent.querySelector('.row[data-index="0"]');
+
+        row.dispatchEvent(createTouchEvent('touchstart', row, 90));
+        row.dispatchEvent(createTouchEvent('touchmove', row, 10));
+
+        // the item got out of view, but stays hidden in the document
+        expect(parent.scrollTop).toBe(80);
+        expect(row.parentNode).not.toBe(null);
+        expect(row.style.visibility).toBe('hidden');
+
+        // the events of the touch still reach the scrollbar
+        row.dispatchEvent(createTouchEvent('touchmove', row, -70));
+        expect(parent.scrollTop).toBe(160);
+
+        row.dispatchEvent(createTouchEvent('touchend', row, -70));
+        expect(row.parentNode).toBe(null);
+    });
+
+    it('should keep the measured heights on update and estimate only the new items', () => {
+        renderItem.and.callFake((aIndex) => {
+            const row = document.createElement('div');
+
+            row.className = 'row';
+            row.setAttribute('data-index', `${aIndex}`);
+            row.style.height = '50px';
+
+            return row;
+        });
+        createList({ itemCount: 100, measureItems: true, overscan: 0 });
+        // the rows further down get measured while scrolling
+        instance.scrollTop(300);
+        instance.scrollTop(0);
+
+        const measuredHeight = parent.scrollHeight;
+
+        list.update(110);
+
+        expect(parent.scrollHeight).toBe(measuredHeight + (10 * 20));
+    });
+
+    it('should scroll to the item with given index', () => {
+        createList({ overscan: 0 });
+
+        list.scrollToIndex(500);
+        expect(parent.scrollTop).toBe(10000);
+
+        list.scrollToIndex(600, { align: 'end' });
+        expect(parent.scrollTop).toBe(11920);
+        expect(getRenderedIndexes()).toContain(600);
+    });
+
+    it('should remove the content on destroy, but keep the instance', () => {
+        createList();
+        list.destroy();
+        list = null;
+
+        expect(parent.querySelectorAll('.row').length).toBe(0);
+        expect(parent.scrollHeight).toBe(100);
+
+        instance.scrollTop(50);
+        expect(renderItem).toHaveBeenCalledTimes(8);
+    });
+});
@@ -1,4 +1,16 @@
-import { debounce, applyOptionsToScrollBarElement, getWheelDeltaAsPixel } from '../../src/helper';
+import {
+    debounce,
+    applyOptionsToScrollBarElement,
+    getWheelDeltaAsPixel,
+    getKeyDeltaAsPixel,
+    isEditableElement,
+    hasFocusableContent,
+    autoRepeat,
+    observeDetach,
+    getSnapPoints,
+    getNearestSnapPoint,
+    getLinkedScrollPosition
+} from '../../src/helper';
 
 const originalWindowSetTimeout = window.setTimeout;
 const originalWindowClearTimeout = window.clearTimeout;
@@ -16,6 +28,263 @@ describe('Helper functions', () => {
         });
     });
 
+    describe('getKeyDeltaAsPixel', () => {
+        const container = {
+            clientWidth: 200,
+            clientHeight: 100
+        };
+
+        it('should be a function', () => {
+            expect(typeof getKeyDeltaAsPixel).toBe('function');
+        });
+
+        it('should return null for keys, that do not scroll', () => {
+            expect(getKeyDeltaAsPixel('a', false, container)).toBeNull();
+            expect(getKeyDeltaAsPixel('Enter', false, container)).toBeNull();
+        });
+
+        it('should return the page size for PageDown and PageUp', () => {
+            expect(getKeyDeltaAsPixel('PageDown', false, container)).toEqual({ x: 0, y: 100 });
+            expect(getKeyDeltaAsPixel('PageUp', false, container)).toEqual({ x: 0, y: -100 });
+        });
+
+        it('should return the page size for space depending on the shift key', () => {
+            expect(getKeyDeltaAsPixel(' ', false, container)).toEqual({ x: 0, y: 100 });
+            expect(getKeyDeltaAsPixel(' ', true, container)).toEqual({ x: 0, y: -100 });
+        });
+
+        it('should return infinite distances for Home and End', () => {
+            expect(getKeyDeltaAsPixel('Home', false, container)).toEqual({ x: 0, y: -Infinity });
+            expect(getKeyDeltaAsPixel('End', false, container)).toEqual({ x: 0, y: Infinity });
+        });
+
+        it('should return the page distances in x direction if requested', () => {
+            expect(getKeyDeltaAsPixel('PageDown', false, container, true)).toEqual({ x: 200, y: 0 });
+            expect(getKeyDeltaAsPixel('Home', false, container, true)).toEqual({ x: -Infinity, y: 0 });
+        });
+
+        it('should support the old key names', () => {
+            expect(getKeyDeltaAsPixel('Down', false, container))
+                .toEqual(getKeyDeltaAsPixel('ArrowDown', false, container));
+            expect(getKeyDeltaAsPixel('Left', false, container))
+                .toEqual(getKeyDeltaAsPixel('ArrowLeft', false, container));
+        });
+    });
+
+    describe('isEditableElement', () => {
+        it('should be a function', () => {
+            expect(typeof isEditableElement).toBe('function');
+        });
+
+        it('should return true for inputs', () => {
+            expect(isEditableElement(document.createElement('input'))).toBe(true);
+            expect(isEditableElement(document.createElement('textarea'))).toBe(true);
+        });
+
+        it('should return false for other elements', () => {
+            expect(isEditableElement(document.createElement('div'))).toBe(false);
+        });
+
+        it('should return true for buttons only with the keys, that press them', () => {
+            const button = document.createElement('button');
+
+            expect(isEditableElement(button, ' ')).toBe(true);
+            expect(isEditableElement(button, 'Enter')).toBe(true);
+            expect(isEditableElement(button, 'ArrowDown')).toBe(false);
+            expect(isEditableElement(button, 'PageDown')).toBe(false);
+        });
+    });
+
+    describe('hasFocusableContent', () => {
+        it('should be a function', () => {
+            expect(typeof hasFocusableContent).toBe('function');
+        });
+
+        it('should return true if the element contains a focusable element', () => {
+            const element = document.createElement('div');
+
+            element.innerHTML = '<p><input></p>';
+            expect(hasFocusableContent(element)).toBe(true);
+        });
+
+        it('should return false if the element contains nothing focusable', () => {
+            const element = document.createElement('div');
+
+            element.innerHTML = '<p><a>text</a></p>';
+            expect(hasFocusableContent(element)).toBe(false);
+        });
+
+        it('should return false for elements, that the tab key can\'t reach', () => {
+            const element = document.createElement('div');
+
+            element.innerHTML = '<p tabindex="-1"></p><button tabindex="-1"></button><p contenteditable="false"></p>' +
+                '<input disabled>';
+            expect(hasFocusableContent(element)).toBe(false);
+        });
+    });
+
+    describe('autoRepeat', () => {
+        beforeEach(() => {
+            jasmine.clock().install();
+        });
+
+        afterEach(() => {
+            jasmine.clock().uninstall();
+        });
+
+        it('should be a function', () => {
+            expect(typeof autoRepeat).toBe('function');
+        });
+
+        it('should call the callback immediately and repeat it after the delay in the interval', () => {
+            const spyCallback = jasmine.createSpy('spyCallback');
+            const stop = autoRepeat(spyCallback, 300, 50);
+
+            expect(spyCallback).toHaveBeenCalledTimes(1);
+
+            jasmine.clock().tick(299);
+            expect(spyCallback).toHaveBeenCalledTimes(1);
+
+            jasmine.clock().tick(1);
+            expect(spyCallback).toHaveBeenCalledTimes(2);
+
+            jasmine.clock().tick(100);
+            expect(spyCallback).toHaveBeenCalledTimes(4);
+
+            stop();
+            jasmine.clock().tick(100);
+            expect(spyCallback).toHaveBeenCalledTimes(4);
+        });
+
+        it('should stop repeating when the callback returns false', () => {
+            const spyCallback = jasmine.createSpy('spyCallback').and.returnValue(false);
+            autoRepeat(spyCallback, 300, 50);
+            jasmine.clock().tick(1000);
+
+            expect(spyCallback).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('getSnapPoints', () => {
+        const container = {
+            scrollWidth: 100,
+            clientWidth: 100,
+            scrollHeight: 250,
+            clientHeight: 100
+        };
+
+        it('should be a function', () => {
+            expect(typeof getSnapPoints).toBe('function');
+        });
+
+        it('should return the multiples of the interval and the maximal scroll position', () => {
+            expect(getSnapPoints(container, { interval: 40 }, false)).toEqual([0, 40, 80, 120, 150]);
+            expect(getSnapPoints(container, { interval: { x: 40, y: 100 } }, false)).toEqual([0, 100, 150]);
+        });
+
+        it('should return the start for a direction without scrollable content', () => {
+            expect(getSnapPoints(container, { interval: 40 }, true)).toEqual([0]);
+        });
+
+        it('should return no snap points without selector and interval', () => {
+            expect(getSnapPoints(container, {}, false)).toEqual([]);
+        });
+    });
+
+    describe('getNearestSnapPoint', () => {
+        it('should be a function', () => {
+            expect(typeof getNearestSnapPoint).toBe('function');
+        });
+
+        it('should return the nearest snap point', () => {
+            expect(getNearestSnapPoint(30, [0, 50, 100])).toBe(50);
+            expect(getNearestSnapPoint(80, [100, 0, 50])).toBe(100);
+        });
+
+        it('should return null without snap points', () => {
+            expect(getNearestSnapPoint(30, [])).toBe(null);
+        });
+    });
+
+    describe('getLinkedScrollPosition', () => {
+        it('should return the same position without the proportional mode', () => {
+            expect(getLinkedScrollPosition(50, 100, 400, false)).toBe(50);
+        });
+
+        it('should return the position with the same ratio in the proportional mode', () => {
+            expect(getLinkedScrollPosition(50, 100, 400, true)).toBe(200);
+            expect(getLinkedScrollPosition(50, 0, 400, true)).toBe(0);
+        });
+    });
+
+    describe('observeDetach', () => {
+        let element = null;
+
+        beforeEach(() => {
+            element = document.createElement('div');
+            document.body.appendChild(element);
+        });
+
+        afterEach(() => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+
+        it('should be a function', () => {
+            expect(typeof observeDetach).toBe('function');
+        });
+
+        it('should call the callback after the element got detached', (done) => {
+            const spyCallback = jasmine.createSpy('spyCallback');
+            const stop = observeDetach(element, spyCallback);
+
+            document.body.removeChild(element);
+
+            setTimeout(() => {
+                expect(spyCallback).toHaveBeenCalledTimes(1);
+                stop();
+                done();
+            }, 0);
+        });
+
+        it('should call the callback when an ancestor got detached', (done) => {
+            const spyCallback = jasmine.createSpy('spyCallback');
+            const wrapper = document.createElement('div');
+
+            document.body.appendChild(wrapper);
+            wrapper.appendChild(element);
+            const stop = observeDetach(element, spyCallback);
+
+            document.body.removeChild(wrapper);
+
+            setTimeout(() => {
+                expect(spyCallback).toHaveBeenCalledTimes(1);
+                stop();
+                done();
+            }, 0);
+        });
+
+        it('should not call the callback for other changes or after stopping', (done) => {
+            const spyCallback = jasmine.createSpy('spyCallback');
+            const stop = observeDetach(element, spyCallback);
+
+            element.appendChild(document.createElement('span'));
+
+            setTimeout(() => {
+                expect(spyCallback).not.toHaveBeenCalled();
+
+                stop();
+                document.body.removeChild(element);
+
+                setTimeout(() => {
+                    expect(spyCallback).not.toHaveBeenCalled();
+                    done();
+                }, 0);
+            }, 0);
+        });
+    });
+
     describe('debounce', () => {
         const setTimeoutReturnValue = Math.random();
         const clearTimeoutReturnValue = Math.random();
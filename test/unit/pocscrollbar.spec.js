@@ -1,7 +1,115 @@
 import PocScrollbar from '../../src/pocscrollbar';
+import { fakeAnimationFrames, runFrame } from '../helper';
 
 describe('PocScrollbar', () => {
     it('should be a class', () => {
         expect(typeof PocScrollbar).toBe('function');
     });
+
+    describe('_getMutationHandler', () => {
+        let instance = null;
+        let parent = null;
+        let child = null;
+
+        beforeEach(() => {
+            parent = document.createElement('div');
+            child = document.createElement('div');
+
+            parent.style.height = '100px';
+            parent.style.width = '100px';
+            child.style.height = '200px';
+            child.style.width = '100px';
+
+            parent.appendChild(child);
+            document.body.appendChild(parent);
+            instance = new PocScrollbar(parent, { stickToBottom: true });
+        });
+
+        afterEach(() => {
+            instance.destroy();
+            document.body.removeChild(parent);
+            instance = null;
+            parent = null;
+            child = null;
+        });
+
+        it('should apply the sizes of the read phase without reading them again', () => {
+            const task = instance._getMutationHandler();
+
+            child.style.height = '300px';
+            task.prepare();
+            task.read();
+            // a change after the read phase waits for the next check
+            child.style.height = '400px';
+            task.write();
+
+            expect(parent.scrollTop).toBe(200);
+            expect(parent.querySelector('[aria-orientation="vertical"]').getAttribute('aria-valuemax')).toBe('200');
+        });
+    });
+
+    describe('with an own ScrollView', () => {
+        const OriginalScrollView = PocScrollbar.ScrollView;
+        const methods = [
+            'parentUpdated',
+            'scrollTopUpdated',
+            'scrollLeftUpdated',
+            'overscrollUpdated',
+            'render',
+            'renderAtStart',
+            'isInteracting',
+            'destroy'
+        ];
+        let instance = null;
+        let parent = null;
+        let child = null;
+        let scrollView = null;
+
+        beforeEach(() => {
+            parent = document.createElement('div');
+            child = document.createElement('div');
+            parent.style.height = '100px';
+            parent.style.width = '100px';
+            child.style.height = '200px';
+            child.style.width = '100px';
+            parent.appendChild(child);
+            document.body.appendChild(parent);
+
+            // only the documented methods exist, so every other call would throw
+            scrollView = jasmine.createSpyObj('scrollView', methods.concat(['getElements']));
+            scrollView.getElements.and.returnValue([]);
+            scrollView.isInteracting.and.returnValue(false);
+            PocScrollbar.ScrollView = function ScrollView() {
+                return scrollView;
+            };
+            jasmine.clock().install();
+            fakeAnimationFrames();
+            instance = new PocScrollbar(parent, { snap: { interval: 50 } });
+        });
+
+        afterEach(() => {
+            instance.destroy();
+            jasmine.clock().uninstall();
+            PocScrollbar.ScrollView = OriginalScrollView;
+            document.body.removeChild(parent);
+            instance = null;
+            parent = null;
+            child = null;
+            scrollView = null;
+        });
+
+        it('should only call the documented methods of the ScrollView', () => {
+            parent.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+            parent.dispatchEvent(new WheelEvent('wheel', { deltaY: 30 }));
+            instance.update();
+            child.style.height = '300px';
+            jasmine.clock().tick(1000);
+            runFrame();
+
+            expect(scrollView.scrollTopUpdated).toHaveBeenCalled();
+            expect(scrollView.parentUpdated).toHaveBeenCalled();
+            expect(scrollView.renderAtStart).toHaveBeenCalled();
+            expect(scrollView.isInteracting).toHaveBeenCalled();
+        });
+    });
 });
@@ -0,0 +1,114 @@
+import { scheduleTask } from '../../src/scheduler';
+import { fakeAnimationFrames, runFrame } from '../helper';
+
+describe('Scheduler', () => {
+    let calls = [];
+    let removeCallbacks = [];
+
+    const createTask = aName => ({
+        prepare: jasmine.createSpy(`${aName}.prepare`).and.callFake(() => calls.push(`${aName}.prepare`)),
+        read: jasmine.createSpy(`${aName}.read`).and.callFake(() => calls.push(`${aName}.read`)),
+        write: jasmine.createSpy(`${aName}.write`).and.callFake(() => calls.push(`${aName}.write`))
+    });
+    const setHidden = (aIsHidden) => {
+        Object.defineProperty(document, 'hidden', { configurable: true, get: () => aIsHidden });
+        document.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    beforeEach(() => {
+        calls = [];
+        removeCallbacks = [];
+        jasmine.clock().install();
+        fakeAnimationFrames();
+    });
+
+    afterEach(() => {
+        removeCallbacks.forEach(aCallback => aCallback());
+        delete document.hidden;
+        jasmine.clock().uninstall();
+    });
+
+    it('should be a function', () => {
+        expect(typeof scheduleTask).toBe('function');
+    });
+
+    it('should run the phases of all tasks with the same interval together', () => {
+        removeCallbacks.push(scheduleTask(300, createTask('first')));
+        removeCallbacks.push(scheduleTask(300, createTask('second')));
+
+        jasmine.clock().tick(301);
+        runFrame();
+
+        // the second task joined the timer of the first task, so they run in the same frame
+        expect(calls).toEqual([
+            'first.prepare', 'second.prepare', 'first.read', 'second.read', 'first.write', 'second.write'
+        ]);
+    });
+
+    it('should skip tasks, whose prepare phase returned false', () => {
+        const task = createTask('first');
+
+        task.prepare.and.returnValue(false);
+        removeCallbacks.push(scheduleTask(300, task));
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(task.read).not.toHaveBeenCalled();
+        expect(task.write).not.toHaveBeenCalled();
+    });
+
+    it('should not run removed tasks', () => {
+        const task = createTask('first');
+
+        scheduleTask(300, task)();
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(task.prepare).not.toHaveBeenCalled();
+    });
+
+    it('should pause while the document is hidden and run in the next frame when it gets visible', () => {
+        const task = createTask('first');
+
+        removeCallbacks.push(scheduleTask(300, task));
+        setHidden(true);
+        jasmine.clock().tick(1000);
+
+        expect(task.prepare).not.toHaveBeenCalled();
+
+        setHidden(false);
+        runFrame();
+
+        expect(task.write).toHaveBeenCalledTimes(1);
+
+        jasmine.clock().tick(301);
+        runFrame();
+
+        expect(task.write).toHaveBeenCalledTimes(2);
+    });
+
+    it('should run the tasks in the animation frame after the tick, and only once per frame', () => {
+        const task = createTask('first');
+
+        removeCallbacks.push(scheduleTask(300, task));
+        jasmine.clock().tick(601);
+
+        expect(task.prepare).not.toHaveBeenCalled();
+        expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+        runFrame();
+
+        expect(task.write).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel the requested frame, when the last task gets removed', () => {
+        const task = createTask('first');
+        const removeTask = scheduleTask(300, task);
+
+        jasmine.clock().tick(301);
+        removeTask();
+        runFrame();
+
+        expect(task.prepare).not.toHaveBeenCalled();
+    });
+});